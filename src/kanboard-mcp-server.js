@@ -1,10 +1,41 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+const { AsyncLocalStorage } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const {
+    OUTPUT_FORMATS, createToolRegistry, describeTool, errorResult, runTool, validateArguments, renderToolResult, resultSchema, loadToolPlugins, withContent
+} = require('./tool-registry');
+const { markdownCell, markdownTable } = require('./markdown');
+const builtInTools = require('./tools');
+
+// Transport: "http" (Streamable HTTP, default) or "stdio" (also selected with --stdio)
+const MCP_TRANSPORT = process.argv.includes('--stdio') ? 'stdio' : (process.env.MCP_TRANSPORT || 'http');
+
+// stdout carries the protocol in stdio mode, so all logging goes to stderr
+if (MCP_TRANSPORT === 'stdio') {
+    console.log = console.error;
+}
+
+// Browser origins allowed to call the server (comma-separated); any origin when unset
+const MCP_CORS_ORIGINS = (process.env.MCP_CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+app.use(cors({
+    origin: MCP_CORS_ORIGINS.length ? MCP_CORS_ORIGINS : '*',
+    exposedHeaders: ['Mcp-Session-Id']
+}));
+app.use(express.json({ limit: '10mb' }));
+
+// Answer malformed JSON bodies with a JSON-RPC parse error instead of an HTML page
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    }
+    next(error);
+});
 
 // Kanboard Configuration
 const KANBOARD_URL = process.env.KANBOARD_URL || 'http://kanboard';
@@ -12,49 +43,783 @@ const KANBOARD_API_URL = `${KANBOARD_URL}/jsonrpc.php`;
 const KANBOARD_USERNAME = process.env.KANBOARD_USERNAME || 'admin';
 const KANBOARD_PASSWORD = process.env.KANBOARD_PASSWORD || 'admin';
 
-// Helper function to make Kanboard JSON-RPC API requests
-async function kanboardRequest(method, params = {}) {
-    try {
-        const payload = {
-            jsonrpc: '2.0',
-            method: method,
-            id: Date.now(),
-            params: params
-        };
+// MCP client authentication. MCP_AUTH_TOKEN is a single shared token that uses the default
+// Kanboard credentials above. MCP_CLIENTS_FILE points to a JSON list of clients, each with its
+// own token and optionally its own Kanboard identity:
+//   [{ "name": "alice", "token": "...", "kanboard_username": "alice", "kanboard_token": "..." }]
+// Authentication is disabled when neither is set.
+const MCP_AUTH_TOKEN = process.env.MCP_AUTH_TOKEN || '';
+const MCP_CLIENTS_FILE = process.env.MCP_CLIENTS_FILE || '';
+
+// Helper function to load the configured MCP clients
+function loadClients() {
+    const clients = [];
+
+    if (MCP_CLIENTS_FILE) {
+        const config = JSON.parse(fs.readFileSync(MCP_CLIENTS_FILE, 'utf8'));
+        const entries = Array.isArray(config) ? config : config.clients || [];
+        entries.forEach((entry, index) => {
+            const name = entry.name || entry.kanboard_username || `client-${index + 1}`;
+            if (!entry.token) throw new Error(`Client "${name}" in ${MCP_CLIENTS_FILE} has no token`);
+            if (entry.kanboard_username && !entry.kanboard_token && !entry.kanboard_password) {
+                throw new Error(`Client "${name}" in ${MCP_CLIENTS_FILE} needs kanboard_token or kanboard_password`);
+            }
+            clients.push({
+                name: name,
+                token: String(entry.token),
+                kanboardUsername: entry.kanboard_username || null,
+                kanboardPassword: entry.kanboard_token || entry.kanboard_password || null,
+                policy: entry.policy ? normalizePolicy(entry.policy) : null
+            });
+        });
+    }
 
-        const response = await axios.post(KANBOARD_API_URL, payload, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': 'Basic ' + Buffer.from(`${KANBOARD_USERNAME}:${KANBOARD_PASSWORD}`).toString('base64')
-            },
-            timeout: 15000
+    if (MCP_AUTH_TOKEN) {
+        clients.push({ name: 'default', token: MCP_AUTH_TOKEN, kanboardUsername: null, kanboardPassword: null, policy: null });
+    }
+
+    return clients;
+}
+
+// Tool policy. Read from MCP_POLICY_FILE (JSON) and overridden by environment variables:
+//   read_only / MCP_READ_ONLY            only expose tools annotated with readOnlyHint
+//   allow_tools / MCP_ALLOW_TOOLS        tool names (or globs like "get_*") that may be used
+//   deny_tools / MCP_DENY_TOOLS          tool names (or globs) that may not be used
+//   allow_projects / MCP_ALLOW_PROJECTS  project IDs that may be accessed
+//   deny_projects / MCP_DENY_PROJECTS    project IDs that may not be accessed
+//   dry_run / MCP_DRY_RUN                mutating tools return the Kanboard calls instead of sending them
+// A client in MCP_CLIENTS_FILE may carry its own "policy" object, which overrides these keys.
+const MCP_POLICY_FILE = process.env.MCP_POLICY_FILE || '';
+
+// Helper function to parse a list given as an array or comma-separated string
+function parseList(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Helper function to parse a boolean given as boolean or string
+function parseFlag(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    return value === true || ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+}
+
+// Helper function to normalize a policy object from the config file or a client entry
+function normalizePolicy(config) {
+    const policy = {};
+    const readOnly = parseFlag(config.read_only);
+    const dryRun = parseFlag(config.dry_run);
+    const allowTools = parseList(config.allow_tools);
+    const denyTools = parseList(config.deny_tools);
+    const allowProjects = parseList(config.allow_projects);
+    const denyProjects = parseList(config.deny_projects);
+
+    if (readOnly !== undefined) policy.readOnly = readOnly;
+    if (dryRun !== undefined) policy.dryRun = dryRun;
+    if (allowTools) policy.allowTools = allowTools;
+    if (denyTools) policy.denyTools = denyTools;
+    if (allowProjects) policy.allowProjects = allowProjects.map(id => parseInt(id));
+    if (denyProjects) policy.denyProjects = denyProjects.map(id => parseInt(id));
+    return policy;
+}
+
+// Helper function to load the server-wide policy
+function loadPolicy() {
+    const fileConfig = MCP_POLICY_FILE ? JSON.parse(fs.readFileSync(MCP_POLICY_FILE, 'utf8')) : {};
+    return {
+        readOnly: false,
+        dryRun: false,
+        allowTools: null,
+        denyTools: [],
+        allowProjects: null,
+        denyProjects: [],
+        ...normalizePolicy(fileConfig),
+        ...normalizePolicy({
+            read_only: process.env.MCP_READ_ONLY,
+            dry_run: process.env.MCP_DRY_RUN,
+            allow_tools: process.env.MCP_ALLOW_TOOLS,
+            deny_tools: process.env.MCP_DENY_TOOLS,
+            allow_projects: process.env.MCP_ALLOW_PROJECTS,
+            deny_projects: process.env.MCP_DENY_PROJECTS
+        })
+    };
+}
+
+const serverPolicy = loadPolicy();
+const clients = loadClients();
+const AUTH_ENABLED = clients.length > 0;
+
+// Per-request context (the authenticated client), available to kanboardRequest without threading it through every tool
+const requestContext = new AsyncLocalStorage();
+
+// Helper function to get the policy that applies to the current client
+function getPolicy() {
+    const client = requestContext.getStore()?.client;
+    return client && client.policy ? { ...serverPolicy, ...client.policy } : serverPolicy;
+}
+
+// Kanboard API methods that change data; intercepted in dry-run mode
+const KANBOARD_WRITE_METHOD = /^(create|update|remove|set|move|close|open|add|change|enable|disable|duplicate)/;
+
+// Helper function to get the Kanboard credentials of the current client
+function getKanboardCredentials() {
+    const client = requestContext.getStore()?.client;
+    if (client && client.kanboardUsername) {
+        return { username: client.kanboardUsername, password: client.kanboardPassword };
+    }
+    return { username: KANBOARD_USERNAME, password: KANBOARD_PASSWORD };
+}
+
+// Short-lived cache for slow-changing Kanboard data, in seconds (0 disables it). A write drops
+// the cached data of the project it touches, or the whole cache when it names no project.
+const KANBOARD_CACHE_TTL = Math.max(0, parseInt(process.env.KANBOARD_CACHE_TTL || 30) || 0);
+
+// Kanboard read methods whose results are cached: projects, columns, users, categories, swimlanes, link types
+const CACHED_METHODS = new Set([
+    'getAllProjects', 'getProjectById', 'getColumns', 'getAllUsers', 'getAllGroups',
+    'getAllCategories', 'getAllSwimlanes', 'getActiveSwimlanes', 'getAllLinks'
+]);
+
+// Kanboard write methods that only change task content, which is never cached
+const TASK_WRITE_METHOD = /Task|Subtask|Comment|Tag/;
+
+// Most calls sent in one JSON-RPC batch request; larger batches are split
+const KANBOARD_BATCH_SIZE = 50;
+
+// Cached responses keyed by Kanboard user, method and params. Each entry holds the pending or
+// settled response promise, so concurrent lookups share one request. Cached data is shared
+// between callers and must not be modified.
+const kanboardCache = new Map();
+
+// Helper function to drop the cached data a successful Kanboard write may have changed
+function invalidateKanboardCache(method, params) {
+    if (TASK_WRITE_METHOD.test(method)) return;
+    const projectId = parseInt(params.project_id) || null;
+    for (const [key, entry] of kanboardCache) {
+        if (!projectId || entry.projectId === null || entry.projectId === projectId) kanboardCache.delete(key);
+    }
+}
+
+// Helper function to drop expired cache entries
+function pruneKanboardCache() {
+    const now = Date.now();
+    for (const [key, entry] of kanboardCache) {
+        if (entry.expires <= now) kanboardCache.delete(key);
+    }
+}
+
+// Kanboard request timeouts in milliseconds; file uploads and downloads get a longer one
+const KANBOARD_TIMEOUT_MS = parseInt(process.env.KANBOARD_TIMEOUT_MS) || 15000;
+const KANBOARD_FILE_TIMEOUT_MS = parseInt(process.env.KANBOARD_FILE_TIMEOUT_MS) || 60000;
+const KANBOARD_FILE_METHOD = /^(createTaskFile|createProjectFile|downloadTaskFile|downloadProjectFile)$/;
+
+// Requests made only of reads are retried this many times on network errors, timeouts and 5xx
+// answers, after a jittered delay that doubles from KANBOARD_RETRY_DELAY_MS on each attempt
+const KANBOARD_RETRIES = Math.max(0, parseInt(process.env.KANBOARD_RETRIES || 2) || 0);
+const KANBOARD_RETRY_DELAY_MS = parseInt(process.env.KANBOARD_RETRY_DELAY_MS) || 250;
+
+// Circuit breaker: after KANBOARD_CIRCUIT_THRESHOLD consecutive failed requests, calls fail fast
+// for KANBOARD_CIRCUIT_RESET_MS, then a single trial request decides whether Kanboard is back
+const KANBOARD_CIRCUIT_THRESHOLD = parseInt(process.env.KANBOARD_CIRCUIT_THRESHOLD) || 5;
+const KANBOARD_CIRCUIT_RESET_MS = parseInt(process.env.KANBOARD_CIRCUIT_RESET_MS) || 30000;
+const circuit = { state: 'closed', failures: 0, openedAt: null, probing: false };
+
+// Kinds of Kanboard failures, with the MCP error code each one maps to and whether trying
+// again later may succeed
+const KANBOARD_ERROR_KINDS = {
+    auth: { code: -32010, retryable: false },
+    permission: { code: -32011, retryable: false },
+    not_found: { code: -32002, retryable: false },
+    validation: { code: -32602, retryable: false },
+    network: { code: -32012, retryable: true },
+    timeout: { code: -32013, retryable: true },
+    server: { code: -32014, retryable: false },
+    unavailable: { code: -32015, retryable: true }
+};
+
+// Error raised for a failed Kanboard call, classified by kind (see KANBOARD_ERROR_KINDS)
+class KanboardError extends Error {
+    constructor(kind, message, retryable = KANBOARD_ERROR_KINDS[kind].retryable) {
+        super(message);
+        this.name = 'KanboardError';
+        this.kind = kind;
+        this.code = KANBOARD_ERROR_KINDS[kind].code;
+        this.retryable = retryable;
+    }
+}
+
+// Helper function to classify a failed HTTP request to Kanboard. Only network errors, timeouts
+// and 5xx answers are retryable: Kanboard itself may still be fine after a 4xx.
+function classifyRequestError(error, timeout) {
+    const status = error.response?.status;
+    const detail = error.response?.data?.error?.message;
+    if (status === 401) {
+        return new KanboardError('auth', `Kanboard rejected the credentials${detail ? ` (${detail})` : ''}, check the Kanboard username and password or API token`);
+    }
+    if (status === 403) return new KanboardError('permission', `Kanboard denied access${detail ? ` (${detail})` : ''}`);
+    if (status) {
+        return new KanboardError('server', `Kanboard answered with HTTP ${status}${detail ? `: ${detail}` : ''}`, status >= 500 || status === 429);
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new KanboardError('timeout', `Kanboard did not answer within ${timeout} ms`);
+    }
+    return new KanboardError('network', `Cannot reach Kanboard at ${KANBOARD_URL}: ${error.code || error.message}`);
+}
+
+// Helper function to classify the JSON-RPC error Kanboard returned for one call
+function classifyApiError(error) {
+    const message = error.message || 'Unknown Kanboard API error';
+    if (error.code === 401) return new KanboardError('auth', message);
+    if (error.code === 403) return new KanboardError('permission', message);
+    if (error.code === -32602 || error.code === -32600) return new KanboardError('validation', message);
+    return new KanboardError('server', message);
+}
+
+// Outcomes of recent Kanboard calls ("ok", an error kind or "retry"), reported by /health
+const KANBOARD_STATS_WINDOW_MS = 5 * 60 * 1000;
+const kanboardOutcomes = [];
+
+// Helper function to record the outcome of a Kanboard call, dropping those outside the window
+function recordKanboardOutcome(outcome) {
+    const now = Date.now();
+    kanboardOutcomes.push({ time: now, outcome });
+    while (kanboardOutcomes.length > 0 && (kanboardOutcomes[0].time < now - KANBOARD_STATS_WINDOW_MS || kanboardOutcomes.length > 10000)) {
+        kanboardOutcomes.shift();
+    }
+}
+
+// Helper function to summarize the circuit breaker and the recent Kanboard calls for /health
+function getKanboardStats() {
+    const since = Date.now() - KANBOARD_STATS_WINDOW_MS;
+    const recent = kanboardOutcomes.filter(entry => entry.time >= since);
+    const calls = recent.filter(entry => entry.outcome !== 'retry');
+    const errorsByType = {};
+    calls.filter(entry => entry.outcome !== 'ok').forEach(entry => {
+        errorsByType[entry.outcome] = (errorsByType[entry.outcome] || 0) + 1;
+    });
+    const errors = Object.values(errorsByType).reduce((sum, count) => sum + count, 0);
+
+    return {
+        circuit: {
+            state: circuit.state,
+            consecutive_failures: circuit.failures,
+            opened_at: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null
+        },
+        recent: {
+            window_seconds: KANBOARD_STATS_WINDOW_MS / 1000,
+            calls: calls.length,
+            errors: errors,
+            error_rate: calls.length ? Math.round(errors / calls.length * 1000) / 1000 : 0,
+            errors_by_type: errorsByType,
+            retries: recent.length - calls.length
+        }
+    };
+}
+
+// Helper function to let a request through the circuit breaker, or fail fast while it is open.
+// Once the reset delay has passed, one trial request is let through (half-open).
+function enterCircuit() {
+    if (circuit.state === 'open') {
+        const waitMs = circuit.openedAt + KANBOARD_CIRCUIT_RESET_MS - Date.now();
+        if (waitMs > 0) {
+            throw new KanboardError('unavailable', `Kanboard is unavailable after ${circuit.failures} failed requests, try again in ${Math.ceil(waitMs / 1000)}s`);
+        }
+        circuit.state = 'half_open';
+    }
+    if (circuit.state === 'half_open') {
+        if (circuit.probing) throw new KanboardError('unavailable', 'Kanboard is unavailable, a trial request is checking whether it is back');
+        circuit.probing = true;
+    }
+}
+
+// Helper function to update the circuit breaker with the result of a request
+function leaveCircuit(failed) {
+    circuit.probing = false;
+    if (!failed) {
+        if (circuit.state !== 'closed') console.log('[Kanboard MCP] Kanboard is reachable again, circuit closed');
+        circuit.state = 'closed';
+        circuit.failures = 0;
+        circuit.openedAt = null;
+        return;
+    }
+
+    circuit.failures++;
+    if (circuit.state === 'half_open' || (circuit.state === 'closed' && circuit.failures >= KANBOARD_CIRCUIT_THRESHOLD)) {
+        console.log(`[Kanboard MCP] Kanboard failed ${circuit.failures} times in a row, circuit open for ${KANBOARD_CIRCUIT_RESET_MS / 1000}s`);
+        circuit.state = 'open';
+        circuit.openedAt = Date.now();
+    }
+}
+
+// Helper function to build the headers of a Kanboard JSON-RPC request
+function getKanboardHeaders() {
+    const credentials = getKanboardCredentials();
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': 'Basic ' + Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')
+    };
+}
+
+// Helper function to POST a JSON-RPC payload to Kanboard through the circuit breaker. Read-only
+// payloads are retried on retryable failures. Throws a KanboardError.
+async function postToKanboard(payload, { timeout, readOnly }) {
+    const headers = getKanboardHeaders();
+    for (let attempt = 0; ; attempt++) {
+        enterCircuit();
+        try {
+            const response = await axios.post(KANBOARD_API_URL, payload, { headers, timeout });
+            leaveCircuit(false);
+            return response.data;
+        } catch (error) {
+            const kanboardError = classifyRequestError(error, timeout);
+            leaveCircuit(kanboardError.retryable);
+            if (!readOnly || !kanboardError.retryable || attempt >= KANBOARD_RETRIES || circuit.state !== 'closed') throw kanboardError;
+
+            // Exponential backoff with jitter, so clients retrying together do not hit Kanboard in step
+            const delay = KANBOARD_RETRY_DELAY_MS * 2 ** attempt;
+            recordKanboardOutcome('retry');
+            await new Promise(resolve => setTimeout(resolve, delay / 2 + Math.random() * delay / 2));
+        }
+    }
+}
+
+// Helper function to send Kanboard JSON-RPC calls in one HTTP request: a single call as a plain
+// request, several as a JSON-RPC batch. Returns one { success, data | error } per call; a failed
+// call also carries the classified KanboardError as "cause".
+async function sendKanboardCalls(calls) {
+    const payload = calls.map((call, index) => ({
+        jsonrpc: '2.0',
+        method: call.method,
+        id: index + 1,
+        params: call.params
+    }));
+
+    const failure = error => ({ success: false, error: error.message, cause: error });
+    let responses;
+    try {
+        const data = await postToKanboard(payload.length === 1 ? payload[0] : payload, {
+            timeout: calls.some(call => KANBOARD_FILE_METHOD.test(call.method)) ? KANBOARD_FILE_TIMEOUT_MS : KANBOARD_TIMEOUT_MS,
+            readOnly: !calls.some(call => KANBOARD_WRITE_METHOD.test(call.method))
         });
 
-        if (response.data.error) {
+        // A batch gets an array of responses in any order; an error for the whole request comes back alone
+        responses = payload.map(request => {
+            const result = Array.isArray(data) ? data.find(item => item && item.id === request.id) : data;
+            if (!result) return failure(new KanboardError('server', 'Kanboard returned no result for this call'));
+            if (result.error) return failure(classifyApiError(result.error));
             return {
-                success: false,
-                error: response.data.error.message || 'Unknown Kanboard API error'
+                success: true,
+                data: result.result
             };
-        }
+        });
+    } catch (error) {
+        responses = calls.map(() => failure(error));
+    }
 
-        return {
-            success: true,
-            data: response.data.result
-        };
+    responses.forEach(response => recordKanboardOutcome(response.success ? 'ok' : response.cause.kind));
+    return responses;
+}
+
+// Helper function to ask Kanboard for its version for /health. The probe goes around the circuit
+// breaker and the call statistics, so polling /health neither opens the circuit nor skews the stats.
+async function probeKanboard() {
+    const failure = error => ({ success: false, error: error.message, cause: error });
+    try {
+        const response = await axios.post(KANBOARD_API_URL, { jsonrpc: '2.0', method: 'getVersion', id: 1 }, {
+            headers: getKanboardHeaders(),
+            timeout: KANBOARD_TIMEOUT_MS
+        });
+        if (response.data && response.data.error) return failure(classifyApiError(response.data.error));
+        return { success: true, data: response.data ? response.data.result : null };
     } catch (error) {
-        return {
-            success: false,
-            error: error.response?.data?.error?.message || error.message
-        };
+        return failure(classifyRequestError(error, KANBOARD_TIMEOUT_MS));
     }
 }
 
+// Helper function to make several Kanboard JSON-RPC calls with as few HTTP requests as possible.
+// Takes [{ method, params }] and returns the responses in the same order. Cached reads are
+// answered without a request, and writes are only recorded in dry-run mode.
+async function kanboardBatch(calls) {
+    const dryRunLog = requestContext.getStore()?.dryRunLog;
+    const { username } = getKanboardCredentials();
+    const now = Date.now();
+    const responses = [];
+    const pending = [];
+
+    calls.forEach((call, index) => {
+        const params = call.params || {};
+        if (dryRunLog && KANBOARD_WRITE_METHOD.test(call.method)) {
+            dryRunLog.push({ method: call.method, params });
+            responses[index] = { success: true, data: true };
+            return;
+        }
+
+        const cacheKey = KANBOARD_CACHE_TTL > 0 && CACHED_METHODS.has(call.method)
+            ? `${username}\n${call.method}\n${JSON.stringify(params)}`
+            : null;
+        const cached = cacheKey && kanboardCache.get(cacheKey);
+        if (cached && cached.expires > now) {
+            responses[index] = cached.response;
+            return;
+        }
+        pending.push({ index, method: call.method, params, cacheKey });
+    });
+
+    if (pending.length > 0 && kanboardCache.size > 500) pruneKanboardCache();
+    for (let start = 0; start < pending.length; start += KANBOARD_BATCH_SIZE) {
+        const chunk = pending.slice(start, start + KANBOARD_BATCH_SIZE);
+        const sent = sendKanboardCalls(chunk);
+        chunk.forEach((call, position) => {
+            responses[call.index] = sent.then(results => results[position]);
+            if (!call.cacheKey) return;
+
+            const entry = {
+                response: responses[call.index],
+                expires: now + KANBOARD_CACHE_TTL * 1000,
+                projectId: parseInt(call.params.project_id) || null
+            };
+            kanboardCache.set(call.cacheKey, entry);
+            entry.response.then(response => {
+                if (!response.success && kanboardCache.get(call.cacheKey) === entry) kanboardCache.delete(call.cacheKey);
+            });
+        });
+    }
+
+    const results = await Promise.all(responses);
+    pending.forEach(call => {
+        if (KANBOARD_WRITE_METHOD.test(call.method) && results[call.index].success) invalidateKanboardCache(call.method, call.params);
+    });
+    return results;
+}
+
+// Helper function to make Kanboard JSON-RPC API requests
+async function kanboardRequest(method, params = {}) {
+    const [response] = await kanboardBatch([{ method, params }]);
+    return response;
+}
+
+// Helper function to call Kanboard and return the result data, throwing the Kanboard error on
+// failure. With a failure message, an empty result (false, null) counts as a failure too.
+async function callKanboard(method, params = {}, failureMessage) {
+    const response = await kanboardRequest(method, params);
+    if (!response.success) throw response.cause || new Error(response.error || failureMessage || `Kanboard request ${method} failed`);
+    // Kanboard answers a missing entity with null or false, and a rejected write with false
+    if (failureMessage && !response.data) throw new KanboardError(/^(get|download)/.test(method) ? 'not_found' : 'validation', failureMessage);
+    return response.data;
+}
+
+// Helper functions to build links to the Kanboard web interface
+function taskUrl(taskId, projectId) {
+    return `${KANBOARD_URL}/?controller=TaskViewController&action=show&task_id=${taskId}&project_id=${projectId}`;
+}
+
+function boardUrl(projectId) {
+    return `${KANBOARD_URL}/?controller=BoardViewController&action=show&project_id=${projectId}`;
+}
+
+function fileUrl(taskId, fileId) {
+    return `${KANBOARD_URL}/?controller=FileViewerController&action=download&task_id=${taskId}&file_id=${fileId}`;
+}
+
+// Kanboard users behind each identity, keyed by Kanboard username
+const currentUsers = new Map();
+
+// Helper function to get the Kanboard user the current client acts as
+async function getCurrentUser() {
+    const { username } = getKanboardCredentials();
+    if (currentUsers.has(username)) return currentUsers.get(username);
+
+    const response = await kanboardRequest('getMe');
+    if (!response.success || !response.data) {
+        throw new Error(`Could not determine the Kanboard user for this client: ${response.error || 'getMe returned nothing'}`);
+    }
+    currentUsers.set(username, response.data);
+    return response.data;
+}
+
+// Error raised when a name cannot be resolved to exactly one Kanboard entity
+class ResolutionError extends Error {
+    constructor(message, candidates = []) {
+        super(message);
+        this.name = 'ResolutionError';
+        this.candidates = candidates;
+    }
+}
+
+// Helper function to normalize names for comparison
+function normalizeName(value) {
+    return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Helper function to compute the edit distance between two strings
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+// Helper function to check whether a tool argument is already a numeric ID
+function isNumericId(value) {
+    return typeof value === 'number' || (typeof value === 'string' && /^\d+$/.test(value.trim()));
+}
+
+// Helper function to pick the single entity matching a name. Exact (case-insensitive) matches
+// win, then substring or initials matches ("wip"), then close typos. Throws a ResolutionError
+// when the name is ambiguous or unknown so the assistant can retry with one of the candidates.
+function matchByName(entities, value, keys, label) {
+    const query = normalizeName(value);
+    const describe = entity => {
+        const candidate = { id: entity.id };
+        keys.forEach(key => {
+            if (entity[key]) candidate[key] = entity[key];
+        });
+        return candidate;
+    };
+    const valuesOf = entity => keys.map(key => entity[key]).filter(Boolean).map(normalizeName);
+
+    const pick = (matches, kind) => {
+        if (matches.length === 1) return parseInt(matches[0].id);
+        if (matches.length > 1) {
+            throw new ResolutionError(
+                `Ambiguous ${label} "${value}": ${matches.length} ${kind} matches, please specify one of the candidates by ID`,
+                matches.map(describe)
+            );
+        }
+        return null;
+    };
+
+    const exact = pick(entities.filter(entity => valuesOf(entity).includes(query)), 'exact');
+    if (exact !== null) return exact;
+
+    const initials = name => name.split(/[\s_-]+/).map(word => word[0]).join('');
+    const partial = pick(entities.filter(entity => valuesOf(entity).some(name =>
+        name.includes(query) || (name.includes(' ') && initials(name) === query))), 'partial');
+    if (partial !== null) return partial;
+
+    const maxDistance = Math.max(1, Math.floor(query.length / 4));
+    const fuzzy = pick(entities.filter(entity => valuesOf(entity).some(name => levenshtein(name, query) <= maxDistance)), 'similar');
+    if (fuzzy !== null) return fuzzy;
+
+    throw new ResolutionError(`No ${label} found matching "${value}"`, entities.slice(0, 25).map(describe));
+}
+
+// Helper function to resolve a project ID or name to a project ID
+async function resolveProject(value) {
+    if (isNumericId(value)) return parseInt(value);
+    const response = await kanboardRequest('getAllProjects');
+    if (!response.success) throw response.cause;
+    // Projects hidden by the policy are neither matched nor offered as candidates
+    const visibleProjects = response.data.filter(project => isProjectVisible(parseInt(project.id)));
+    return matchByName(visibleProjects, value, ['name', 'identifier'], 'project');
+}
+
+// Helper function to resolve a user ID, username or display name to a user ID
+async function resolveUser(value) {
+    if (isNumericId(value)) return parseInt(value);
+    const response = await kanboardRequest('getAllUsers');
+    if (!response.success) throw response.cause;
+    return matchByName(response.data, value, ['username', 'name', 'email'], 'user');
+}
+
+// Helper function to resolve a group ID or name to a group ID
+async function resolveGroup(value) {
+    if (isNumericId(value)) return parseInt(value);
+    const response = await kanboardRequest('getAllGroups');
+    if (!response.success) throw response.cause;
+    return matchByName(response.data || [], value, ['name'], 'group');
+}
+
+// Helper function to resolve a column ID or title within a project
+async function resolveColumn(projectId, value) {
+    if (isNumericId(value)) return parseInt(value);
+    const response = await kanboardRequest('getColumns', { project_id: projectId });
+    if (!response.success) throw response.cause;
+    return matchByName(response.data, value, ['title'], 'column');
+}
+
+// Helper function to resolve a category ID or name within a project
+async function resolveCategory(projectId, value) {
+    if (isNumericId(value)) return parseInt(value);
+    const response = await kanboardRequest('getAllCategories', { project_id: projectId });
+    if (!response.success) throw response.cause;
+    return matchByName(response.data || [], value, ['name'], 'category');
+}
+
+// Helper function to resolve a swimlane ID or name within a project
+async function resolveSwimlane(projectId, value) {
+    if (isNumericId(value)) return parseInt(value);
+    const response = await kanboardRequest('getAllSwimlanes', { project_id: projectId });
+    if (!response.success) throw response.cause;
+    return matchByName(response.data || [], value, ['name'], 'swimlane');
+}
+
+// Helper function to resolve a task link type ID or label (e.g. "blocks", "is duplicated by")
+async function resolveLink(value) {
+    if (isNumericId(value)) return parseInt(value);
+    const response = await kanboardRequest('getAllLinks', {});
+    if (!response.success) throw response.cause;
+    return matchByName(response.data || [], value, ['label'], 'link type');
+}
+
+// Resolve every name-capable tool argument (project_id, project_ids, column_id, owner_id,
+// user_id, group_id, link_id, category_id, swimlane_id) to its numeric ID before the tool
+// runs. Project-scoped names use the given project_id or, failing that, the project of the
+// given task_id. Independent lookups run in parallel and share the cached entity lists.
+async function resolveArguments(args) {
+    const resolved = { ...args };
+
+    const lookups = [];
+    if (resolved.project_id !== undefined && resolved.project_id !== null && resolved.project_id !== '') {
+        lookups.push(resolveProject(resolved.project_id).then(projectId => {
+            resolved.project_id = projectId;
+        }));
+    }
+    if (Array.isArray(resolved.project_ids)) {
+        lookups.push(Promise.all(args.project_ids.map(project => resolveProject(project))).then(projectIds => {
+            resolved.project_ids = projectIds;
+        }));
+    }
+    const globalResolvers = {
+        owner_id: resolveUser,
+        user_id: resolveUser,
+        group_id: resolveGroup,
+        link_id: resolveLink
+    };
+    Object.keys(globalResolvers)
+        .filter(field => resolved[field] !== undefined && resolved[field] !== '')
+        .forEach(field => lookups.push(globalResolvers[field](resolved[field]).then(id => {
+            resolved[field] = id;
+        })));
+    await Promise.all(lookups);
+
+    const scopedResolvers = {
+        column_id: resolveColumn,
+        category_id: resolveCategory,
+        swimlane_id: resolveSwimlane
+    };
+    const scopedNames = Object.keys(scopedResolvers)
+        .filter(field => resolved[field] !== undefined && resolved[field] !== '' && !isNumericId(resolved[field]));
+
+    if (scopedNames.length > 0) {
+        let projectId = resolved.project_id;
+        if (!projectId && resolved.task_id) {
+            const taskResponse = await kanboardRequest('getTask', { task_id: resolved.task_id });
+            if (taskResponse.success && taskResponse.data) projectId = parseInt(taskResponse.data.project_id);
+        }
+        if (!projectId) {
+            throw new ResolutionError(`project_id is required to resolve ${scopedNames.join(', ')} by name`);
+        }
+        await Promise.all(scopedNames.map(async field => {
+            resolved[field] = await scopedResolvers[field](projectId, resolved[field]);
+        }));
+    }
+
+    Object.keys(scopedResolvers)
+        .filter(field => isNumericId(resolved[field]))
+        .forEach(field => {
+            resolved[field] = parseInt(resolved[field]);
+        });
+
+    return resolved;
+}
+
 // Helper function to format dates
 function formatDate(timestamp) {
     if (!timestamp || timestamp === '0') return 'Not set';
     return new Date(parseInt(timestamp) * 1000).toLocaleString();
 }
 
+// Kanboard task colors accepted by color_id
+const TASK_COLORS = [
+    'yellow', 'blue', 'green', 'purple', 'red', 'orange', 'grey', 'brown',
+    'deep_orange', 'dark_grey', 'pink', 'teal', 'cyan', 'lime', 'light_green', 'amber'
+];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Helper function to convert an ISO date, a timestamp or a natural string ("tomorrow",
+// "next friday", "in 3 days") into a Unix timestamp. Empty values clear the date (0).
+function parseDateInput(value, field) {
+    if (value === null || value === '' || value === 0) return 0;
+    if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) return parseInt(value);
+
+    const text = String(value).trim().toLowerCase();
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    const addDays = days => {
+        const date = new Date(startOfToday);
+        date.setDate(date.getDate() + days);
+        return Math.floor(date.getTime() / 1000);
+    };
+
+    if (text === 'none' || text === 'clear') return 0;
+    if (text === 'today') return addDays(0);
+    if (text === 'tomorrow') return addDays(1);
+    if (text === 'yesterday') return addDays(-1);
+    if (text === 'next week') return addDays(7);
+    if (text === 'next month') {
+        const date = new Date(startOfToday);
+        date.setMonth(date.getMonth() + 1);
+        return Math.floor(date.getTime() / 1000);
+    }
+
+    const relative = text.match(/^(?:in\s+|\+)?(\d+)\s*(day|week|month)s?(?:\s+from\s+now)?$/);
+    if (relative) {
+        const amount = parseInt(relative[1]);
+        if (relative[2] === 'month') {
+            const date = new Date(startOfToday);
+            date.setMonth(date.getMonth() + amount);
+            return Math.floor(date.getTime() / 1000);
+        }
+        return addDays(relative[2] === 'week' ? amount * 7 : amount);
+    }
+
+    const weekday = text.match(/^(?:next\s+|this\s+|on\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/);
+    if (weekday) {
+        const offset = (WEEKDAYS.indexOf(weekday[1]) - startOfToday.getDay() + 7) % 7;
+        return addDays(offset === 0 ? 7 : offset);
+    }
+
+    // Date-only ISO strings are interpreted in local time, like the Kanboard UI does
+    const isoDate = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (isoDate) {
+        const date = new Date(parseInt(isoDate[1]), parseInt(isoDate[2]) - 1, parseInt(isoDate[3]));
+        return Math.floor(date.getTime() / 1000);
+    }
+
+    const parsed = Date.parse(value);
+    if (!isNaN(parsed)) return Math.floor(parsed / 1000);
+
+    throw new Error(`Invalid ${field}: "${value}". Use an ISO date (2025-01-31), a timestamp or a phrase like "tomorrow", "next friday" or "in 3 days"`);
+}
+
+// Helper function to validate a numeric task field
+function parseNumberInput(value, field, { integer = false, min = 0, max = Infinity } = {}) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || isNaN(number)) {
+        throw new Error(`Invalid ${field}: expected a number, got "${value}"`);
+    }
+    if (integer && !Number.isInteger(number)) {
+        throw new Error(`Invalid ${field}: expected a whole number, got ${value}`);
+    }
+    if (number < min || number > max) {
+        throw new Error(`Invalid ${field}: must be between ${min} and ${max}`);
+    }
+    return number;
+}
+
 // Helper function to get color for priority/category
 function getPriorityColor(priority) {
     const colors = {
@@ -67,297 +832,1002 @@ function getPriorityColor(priority) {
     return colors[priority] || '⚪ Unknown';
 }
 
-// MCP Tools Definition
-const tools = [
-    {
-        name: 'get_all_projects',
-        description: 'Get all projects from Kanboard',
-        inputSchema: {
-            type: 'object',
-            properties: {},
-            required: []
-        }
-    },
-    {
-        name: 'get_project',
-        description: 'Get details of a specific project',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                project_id: {
-                    type: 'number',
-                    description: 'Project ID'
-                }
-            },
-            required: ['project_id']
+// Helper function to fetch tag names for a list of tasks, keyed by task ID
+async function getTagsForTasks(taskIds) {
+    const responses = await kanboardBatch(taskIds.map(taskId => ({ method: 'getTaskTags', params: { task_id: taskId } })));
+    const tagsByTask = {};
+    taskIds.forEach((taskId, index) => {
+        const response = responses[index];
+        tagsByTask[taskId] = response.success && response.data ? Object.values(response.data) : [];
+    });
+    return tagsByTask;
+}
+
+// Helper function to fetch category names for the given projects, keyed by category ID
+async function getCategoryNames(projectIds) {
+    const uniqueIds = [...new Set(projectIds.map(projectId => parseInt(projectId)).filter(Boolean))];
+    const responses = await kanboardBatch(uniqueIds.map(projectId => ({ method: 'getAllCategories', params: { project_id: projectId } })));
+    const categoryNames = {};
+    responses.forEach(response => {
+        (response.success && response.data ? response.data : []).forEach(category => {
+            categoryNames[category.id] = category.name;
+        });
+    });
+    return categoryNames;
+}
+
+// Helper function to get the category name of a task
+function getCategoryName(categoryNames, categoryId) {
+    return parseInt(categoryId) ? categoryNames[categoryId] || `#${categoryId}` : 'None';
+}
+
+// Helper function to check a task against an optional category filter (0 = no category)
+function matchesCategory(task, categoryId) {
+    if (categoryId === undefined || categoryId === null || categoryId === '') return true;
+    return (parseInt(task.category_id) || 0) === parseInt(categoryId);
+}
+
+// Helper function to check that a task carries every requested tag (case-insensitive)
+function hasAllTags(taskTags, requiredTags) {
+    if (!requiredTags || requiredTags.length === 0) return true;
+    const normalized = taskTags.map(tag => tag.toLowerCase());
+    return requiredTags.every(tag => normalized.includes(tag.toLowerCase()));
+}
+
+// Helper function to format an internal task link
+function formatTaskLink(link) {
+    return {
+        id: link.id,
+        relation: link.label,
+        task_id: link.task_id,
+        title: link.title,
+        status: link.is_active === '1' ? 'open' : 'closed',
+        project_id: link.project_id,
+        column: link.column_title,
+        url: taskUrl(link.task_id, link.project_id)
+    };
+}
+
+// Helper function to format an external task link
+function formatExternalLink(link) {
+    return {
+        id: link.id,
+        title: link.title,
+        url: link.url,
+        type: link.link_type,
+        dependency: link.dependency_label || link.dependency,
+        created: formatDate(link.date_creation)
+    };
+}
+
+// Output schema of the fields returned by getTaskLinks
+const taskLinksProperties = {
+    links: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                id: { type: ['number', 'string'] },
+                relation: { type: 'string' },
+                task_id: { type: ['number', 'string'] },
+                title: { type: 'string' },
+                status: { type: 'string', enum: ['open', 'closed'] },
+                project_id: { type: ['number', 'string'] },
+                column: { type: 'string' },
+                url: { type: 'string' }
+            }
+        }
+    },
+    external_links: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                id: { type: ['number', 'string'] },
+                title: { type: 'string' },
+                url: { type: 'string' },
+                type: { type: 'string' },
+                dependency: { type: 'string' },
+                created: { type: 'string' }
+            }
+        }
+    },
+    blocked: { type: 'boolean', description: 'True while an open task blocks this one' },
+    dependency_summary: { type: 'array', items: { type: 'string' } }
+};
+
+// Helper function to load a task's internal and external links with a readable dependency summary
+async function getTaskLinks(taskId) {
+    const [linksResponse, externalResponse] = await kanboardBatch([
+        { method: 'getAllTaskLinks', params: { task_id: taskId } },
+        { method: 'getAllExternalTaskLinks', params: { task_id: taskId } }
+    ]);
+    if (!linksResponse.success) throw linksResponse.cause;
+
+    // Links to tasks of projects hidden by the policy are left out
+    const links = (linksResponse.data || [])
+        .filter(link => isProjectVisible(parseInt(link.project_id)))
+        .map(formatTaskLink);
+    const externalLinks = externalResponse.success ? (externalResponse.data || []).map(formatExternalLink) : [];
+    const blockedBy = links.filter(link => normalizeName(link.relation) === 'is blocked by' && link.status === 'open');
+
+    return {
+        links: links,
+        external_links: externalLinks,
+        blocked: blockedBy.length > 0,
+        dependency_summary: links.map(link => `${link.relation} #${link.task_id} (${link.status})`)
+    };
+}
+
+// Helper function to get label for subtask status
+function getSubtaskStatus(status) {
+    const statuses = {
+        0: '⬜ Todo',
+        1: '🔄 In progress',
+        2: '✅ Done'
+    };
+    return statuses[status] || '⬜ Unknown';
+}
+
+// Helper function to summarize subtask progress
+function getSubtaskProgress(subtasks) {
+    const done = subtasks.filter(subtask => parseInt(subtask.status) === 2).length;
+    const inProgress = subtasks.filter(subtask => parseInt(subtask.status) === 1).length;
+    return {
+        total: subtasks.length,
+        todo: subtasks.length - done - inProgress,
+        in_progress: inProgress,
+        done: done,
+        percent_done: subtasks.length ? Math.round(done / subtasks.length * 100) : 0
+    };
+}
+
+// Output schemas of formatSubtask and getSubtaskProgress
+const subtaskSchema = {
+    type: 'object',
+    properties: {
+        id: { type: ['number', 'string'] },
+        task_id: { type: ['number', 'string'] },
+        title: { type: 'string' },
+        status: { type: 'string' },
+        status_id: { type: 'number' },
+        assignee: { type: 'string' },
+        user_id: { type: ['number', 'string'] },
+        time_estimated: { type: 'string' },
+        time_spent: { type: 'string' },
+        position: { type: ['number', 'string'] }
+    }
+};
+
+const subtaskProgressSchema = {
+    type: 'object',
+    properties: {
+        total: { type: 'number' },
+        todo: { type: 'number' },
+        in_progress: { type: 'number' },
+        done: { type: 'number' },
+        percent_done: { type: 'number' }
+    }
+};
+
+// Helper function to format a subtask for output
+function formatSubtask(subtask) {
+    return {
+        id: subtask.id,
+        task_id: subtask.task_id,
+        title: subtask.title,
+        status: getSubtaskStatus(subtask.status),
+        status_id: parseInt(subtask.status),
+        assignee: subtask.name || subtask.username || 'Unassigned',
+        user_id: subtask.user_id,
+        time_estimated: subtask.time_estimated ? `${subtask.time_estimated}h` : 'Not set',
+        time_spent: subtask.time_spent ? `${subtask.time_spent}h` : '0h',
+        position: subtask.position
+    };
+}
+
+// Helper function to format a local date as YYYY-MM-DD
+function formatIsoDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Helper function to extend a date-only timestamp (local midnight) to the end of that day
+function toEndOfDay(timestamp) {
+    return timestamp && new Date(timestamp * 1000).toTimeString().startsWith('00:00:00') ? timestamp + 86399 : timestamp;
+}
+
+// Kanboard search attributes, see https://docs.kanboard.org/v1/user/search/
+const SEARCH_ATTRIBUTES = [
+    'assignee', 'category', 'color', 'colour', 'column', 'comment', 'completed', 'created', 'creator',
+    'description', 'due', 'link', 'modified', 'moved', 'priority', 'project', 'ref', 'reference',
+    'score', 'started', 'status', 'subtask:assignee', 'swimlane', 'tag', 'title', 'updated'
+];
+const SEARCH_DATE_ATTRIBUTES = ['completed', 'created', 'due', 'modified', 'moved', 'started', 'updated'];
+
+// Check a Kanboard search query before sending it, so typos come back as a clear error
+// instead of silently matching nothing
+function validateSearchQuery(query) {
+    const text = String(query || '').trim();
+    if (!text) throw new Error('Invalid query: it must not be empty');
+    if ((text.match(/"/g) || []).length % 2 !== 0) throw new Error('Invalid query: unbalanced double quote');
+
+    const tokens = text.match(/(?:[^\s"]+:)+"[^"]*"|"[^"]*"|\S+/g) || [];
+    tokens.forEach(token => {
+        const match = token.match(/^([a-z]+(?::assignee)?):(.*)$/i);
+        if (!match) return;
+
+        const attribute = match[1].toLowerCase();
+        const value = match[2].replace(/^"|"$/g, '');
+        if (!SEARCH_ATTRIBUTES.includes(attribute)) {
+            throw new Error(`Invalid query: unknown search attribute "${attribute}:", expected one of ${SEARCH_ATTRIBUTES.join(', ')}`);
+        }
+        if (value === '') throw new Error(`Invalid query: "${attribute}:" needs a value`);
+        if (attribute === 'status' && !['open', 'closed'].includes(value.toLowerCase())) {
+            throw new Error(`Invalid query: status must be "open" or "closed", got "${value}"`);
+        }
+        if (['priority', 'score'].includes(attribute) && !/^(<=|>=|<|>)?\d+$/.test(value)) {
+            throw new Error(`Invalid query: ${attribute} expects a number with an optional <, <=, > or >= operator, got "${value}"`);
+        }
+        if (SEARCH_DATE_ATTRIBUTES.includes(attribute) &&
+            !/^(<=|>=|<|>)?(\d{4}-\d{2}-\d{2}|today|tomorrow|yesterday|[+-]?\d+\s*(day|week|month|year)s?(\s+ago)?)$/i.test(value)) {
+            throw new Error(`Invalid query: ${attribute} expects YYYY-MM-DD, today, tomorrow, yesterday or a relative date like "-2 days" (optionally with <, <=, >, >=), got "${value}"`);
+        }
+    });
+    return text;
+}
+
+// MCP Tools. Each module in ./tools (and each plugin in MCP_TOOLS_DIR) receives this toolkit:
+// the Kanboard client and the helpers shared between tools.
+const toolkit = {
+    KANBOARD_URL,
+    TASK_COLORS,
+    kanboardRequest,
+    kanboardBatch,
+    callKanboard,
+    getCurrentUser,
+    getPolicy,
+    isProjectVisible,
+    assertProjectAllowed,
+    taskUrl,
+    boardUrl,
+    fileUrl,
+    formatDate,
+    formatIsoDate,
+    parseDateInput,
+    parseNumberInput,
+    toEndOfDay,
+    getPriorityColor,
+    getTagsForTasks,
+    hasAllTags,
+    getCategoryNames,
+    getCategoryName,
+    matchesCategory,
+    getSubtaskProgress,
+    formatSubtask,
+    subtaskSchema,
+    subtaskProgressSchema,
+    getTaskLinks,
+    taskLinksProperties,
+    validateSearchQuery,
+    markdownCell,
+    markdownTable,
+    renderBoardMarkdown,
+    resultSchema,
+    withContent
+};
+
+const registry = createToolRegistry();
+builtInTools.forEach(toolModule => registry.registerModule(toolModule, toolkit));
+
+// Text output of tool results when the call gives no "format": "json" or "markdown"
+const MCP_OUTPUT_FORMAT = OUTPUT_FORMATS.includes(process.env.MCP_OUTPUT_FORMAT) ? process.env.MCP_OUTPUT_FORMAT : 'json';
+
+// Directory of extra tool modules, loaded at startup after the built-in tools
+const MCP_TOOLS_DIR = process.env.MCP_TOOLS_DIR || '';
+if (MCP_TOOLS_DIR) {
+    loadToolPlugins(registry, MCP_TOOLS_DIR, toolkit).forEach(plugin => {
+        console.log(`[Kanboard MCP] Loaded tool plugin ${plugin.file}: ${plugin.tools.join(', ')}`);
+    });
+}
+
+// Error raised when the policy blocks a tool, resource or prompt
+class PolicyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PolicyError';
+        this.code = -32003;
+    }
+}
+
+// Helper function to check whether a tool only reads data
+function isReadOnlyTool(tool) {
+    return tool.annotations?.readOnlyHint === true;
+}
+
+// Helper function to match a tool name against a name or glob ("get_*")
+function matchesToolPattern(name, pattern) {
+    const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(name);
+}
+
+// Helper function to explain why a tool is blocked by the policy, or null when it is allowed
+function getToolDenialReason(tool, policy = getPolicy()) {
+    if (policy.readOnly && !isReadOnlyTool(tool)) return 'the server is in read-only mode';
+    if (policy.allowTools && !policy.allowTools.some(pattern => matchesToolPattern(tool.name, pattern))) {
+        return 'it is not in the list of allowed tools';
+    }
+    if (policy.denyTools.some(pattern => matchesToolPattern(tool.name, pattern))) return 'it is in the list of denied tools';
+    return null;
+}
+
+// Helper function to find the project of a task
+async function getTaskProject(taskId) {
+    const taskResponse = await kanboardRequest('getTask', { task_id: taskId });
+    return taskResponse.success && taskResponse.data ? parseInt(taskResponse.data.project_id) : null;
+}
+
+// Lookups of the project owning an entity that some tools name only by its ID (update_column, ...)
+const ENTITY_PROJECT_LOOKUPS = {
+    column_id: async columnId => {
+        const response = await kanboardRequest('getColumn', { column_id: columnId });
+        return response.success && response.data ? parseInt(response.data.project_id) : null;
+    },
+    category_id: async categoryId => {
+        const response = await kanboardRequest('getCategory', { category_id: categoryId });
+        return response.success && response.data ? parseInt(response.data.project_id) : null;
+    },
+    file_id: async fileId => {
+        const response = await kanboardRequest('getTaskFile', { file_id: fileId });
+        return response.success && response.data ? getTaskProject(response.data.task_id) : null;
+    },
+    task_link_id: async taskLinkId => {
+        const response = await kanboardRequest('getTaskLinkById', { task_link_id: taskLinkId });
+        return response.success && response.data ? getTaskProject(response.data.task_id) : null;
+    },
+    // create_task_link also writes the inverse link into the opposite task's project
+    opposite_task_id: getTaskProject
+};
+
+// Helper function to find the projects owning the entities named in a tool call
+async function getEntityProjects(args) {
+    const fields = Object.keys(ENTITY_PROJECT_LOOKUPS).filter(field => args[field]);
+    const projectIds = await Promise.all(fields.map(field => ENTITY_PROJECT_LOOKUPS[field](args[field])));
+    return projectIds.filter(Boolean);
+}
+
+// Helper function to find the project a tool call targets, via project_id, task_id, subtask_id,
+// the entities of ENTITY_PROJECT_LOOKUPS or tag_id
+async function getProjectScope(args) {
+    if (args.project_id) return parseInt(args.project_id);
+
+    let taskId = args.task_id;
+    if (!taskId && args.subtask_id) {
+        const subtaskResponse = await kanboardRequest('getSubtask', { subtask_id: args.subtask_id });
+        if (subtaskResponse.success && subtaskResponse.data) taskId = subtaskResponse.data.task_id;
+    }
+    const taskProjectId = taskId ? await getTaskProject(taskId) : null;
+    if (taskProjectId) return taskProjectId;
+    const [entityProjectId] = await getEntityProjects(args);
+    if (entityProjectId) return entityProjectId;
+    if (args.tag_id) {
+        const tagsResponse = await kanboardRequest('getAllTags');
+        const tag = tagsResponse.success ? tagsResponse.data.find(candidate => parseInt(candidate.id) === parseInt(args.tag_id)) : null;
+        if (tag) return parseInt(tag.project_id);
+    }
+    return null;
+}
+
+// Helper function to check a project ID against the allow/deny lists
+function isProjectVisible(projectId, policy = getPolicy()) {
+    return (!policy.allowProjects || policy.allowProjects.includes(projectId)) && !policy.denyProjects.includes(projectId);
+}
+
+// Helper function to enforce the project allow/deny lists for a project ID
+function assertProjectAllowed(projectId, policy = getPolicy()) {
+    if (policy.allowProjects && !policy.allowProjects.includes(projectId)) {
+        throw new PolicyError(`Access to project #${projectId} is not allowed by the server policy`);
+    }
+    if (policy.denyProjects.includes(projectId)) {
+        throw new PolicyError(`Access to project #${projectId} is denied by the server policy`);
+    }
+}
+
+// Enforce the policy for a tool call with resolved arguments. Project restrictions apply to
+// calls that target a project, a task or an entity owned by a project; when an allow-list is
+// set, mutating calls without a project (like create_project) are refused.
+async function enforceToolPolicy(tool, args) {
+    const policy = getPolicy();
+    const reason = getToolDenialReason(tool, policy);
+    if (reason) throw new PolicyError(`Tool '${tool.name}' is not available: ${reason}`);
+
+    if (!policy.allowProjects && policy.denyProjects.length === 0) return;
+
+    if (Array.isArray(args.project_ids)) {
+        args.project_ids.forEach(projectId => assertProjectAllowed(projectId, policy));
+        if (!args.project_id && args.project_ids.length > 0) return;
+    }
+
+    const projectId = await getProjectScope(args);
+    if (projectId) {
+        assertProjectAllowed(projectId, policy);
+
+        // Cross-project tools (duplicate/move) name the destination, the task's own project must be allowed too
+        if (args.project_id && args.task_id) {
+            const taskProjectId = await getTaskProject(args.task_id);
+            if (taskProjectId) assertProjectAllowed(taskProjectId, policy);
         }
-    },
+        // Entities named by ID must belong to allowed projects too, whatever project_id says
+        (await getEntityProjects(args)).forEach(entityProjectId => assertProjectAllowed(entityProjectId, policy));
+    } else if (policy.allowProjects && !isReadOnlyTool(tool) && !Array.isArray(args.task_ids)) {
+        // Calls by task_ids (bulk_update_tasks) check the project of each task as they apply
+        throw new PolicyError(`Tool '${tool.name}' is not available: it does not target an allowed project`);
+    }
+}
+
+// MCP Resources Definition
+const resourceTemplates = [
     {
-        name: 'create_project',
-        description: 'Create a new project',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                name: {
-                    type: 'string',
-                    description: 'Project name'
-                },
-                description: {
-                    type: 'string',
-                    description: 'Project description'
-                }
-            },
-            required: ['name']
-        }
+        uriTemplate: 'kanboard://project/{project_id}',
+        name: 'Kanboard project',
+        description: 'Project details and columns as Markdown',
+        mimeType: 'text/markdown'
     },
     {
-        name: 'get_board',
-        description: 'Get board view of a project with all columns and tasks',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                project_id: {
-                    type: 'number',
-                    description: 'Project ID'
-                }
-            },
-            required: ['project_id']
-        }
+        uriTemplate: 'kanboard://project/{project_id}/board',
+        name: 'Kanboard board',
+        description: 'Board of a project (swimlanes, columns and open tasks) as Markdown',
+        mimeType: 'text/markdown'
     },
     {
-        name: 'get_all_tasks',
-        description: 'Get all tasks for a project',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                project_id: {
-                    type: 'number',
-                    description: 'Project ID'
-                },
-                status_id: {
-                    type: 'number',
-                    description: 'Task status (1=open, 0=closed)',
-                    default: 1
-                }
-            },
-            required: ['project_id']
-        }
+        uriTemplate: 'kanboard://task/{task_id}',
+        name: 'Kanboard task',
+        description: 'Task details with subtasks and comments as Markdown',
+        mimeType: 'text/markdown'
     },
     {
-        name: 'get_task',
-        description: 'Get detailed information about a specific task',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                task_id: {
-                    type: 'number',
-                    description: 'Task ID'
-                }
-            },
-            required: ['task_id']
-        }
+        uriTemplate: 'kanboard://project/{project_id}?format=json',
+        name: 'Kanboard project (JSON)',
+        description: 'Project details and columns as JSON',
+        mimeType: 'application/json'
     },
     {
-        name: 'create_task',
-        description: 'Create a new task',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                project_id: {
-                    type: 'number',
-                    description: 'Project ID'
-                },
-                title: {
-                    type: 'string',
-                    description: 'Task title'
-                },
-                description: {
-                    type: 'string',
-                    description: 'Task description'
-                },
-                owner_id: {
-                    type: 'number',
-                    description: 'User ID of the task owner'
-                },
-                column_id: {
-                    type: 'number',
-                    description: 'Column ID where to place the task'
-                },
-                priority: {
-                    type: 'number',
-                    description: 'Priority (0=none, 1=low, 2=medium, 3=high, 4=urgent)',
-                    default: 0
-                }
-            },
-            required: ['project_id', 'title']
-        }
+        uriTemplate: 'kanboard://project/{project_id}/board?format=json',
+        name: 'Kanboard board (JSON)',
+        description: 'Board of a project as JSON',
+        mimeType: 'application/json'
     },
     {
-        name: 'update_task',
-        description: 'Update an existing task',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                task_id: {
-                    type: 'number',
-                    description: 'Task ID'
-                },
-                title: {
-                    type: 'string',
-                    description: 'New task title'
-                },
-                description: {
-                    type: 'string',
-                    description: 'New task description'
-                },
-                owner_id: {
-                    type: 'number',
-                    description: 'New owner user ID'
-                },
-                priority: {
-                    type: 'number',
-                    description: 'New priority (0-4)'
-                }
-            },
-            required: ['task_id']
+        uriTemplate: 'kanboard://task/{task_id}?format=json',
+        name: 'Kanboard task (JSON)',
+        description: 'Task details with subtasks and comments as JSON',
+        mimeType: 'application/json'
+    }
+];
+
+// Error raised for unknown or unreadable resource URIs (MCP "resource not found")
+class ResourceNotFoundError extends Error {
+    constructor(uri, reason) {
+        super(`Resource not found: ${uri}${reason ? ` (${reason})` : ''}`);
+        this.name = 'ResourceNotFoundError';
+        this.code = -32002;
+    }
+}
+
+// Helper function to make Kanboard calls in one batch and fail with a resource error when an entity is missing
+async function fetchForResource(uri, calls) {
+    const responses = await kanboardBatch(calls);
+    return responses.map((response, index) => {
+        if (!response.success) throw response.cause;
+        if (response.data === null || response.data === false) throw new ResourceNotFoundError(uri, `${calls[index].method} returned nothing`);
+        return response.data;
+    });
+}
+
+// Helper function to load the data behind kanboard://project/{id}
+async function loadProjectResource(uri, projectId) {
+    const [project, columns] = await fetchForResource(uri, [
+        { method: 'getProjectById', params: { project_id: projectId } },
+        { method: 'getColumns', params: { project_id: projectId } }
+    ]);
+
+    return {
+        id: project.id,
+        name: project.name,
+        identifier: project.identifier || '',
+        description: project.description || 'No description',
+        is_active: project.is_active === '1',
+        start_date: formatDate(project.start_date),
+        end_date: formatDate(project.end_date),
+        url: boardUrl(project.id),
+        columns: columns.map(column => ({
+            id: column.id,
+            title: column.title,
+            position: column.position,
+            task_limit: parseInt(column.task_limit) || 0
+        }))
+    };
+}
+
+// Helper function to render a project resource as Markdown
+function renderProjectMarkdown(project) {
+    const lines = [
+        `# ${project.name}`,
+        '',
+        project.description,
+        '',
+        `- **ID:** ${project.id}${project.identifier ? ` (${project.identifier})` : ''}`,
+        `- **Status:** ${project.is_active ? 'Active' : 'Inactive'}`,
+        `- **Start date:** ${project.start_date}`,
+        `- **End date:** ${project.end_date}`,
+        `- **URL:** ${project.url}`,
+        '',
+        '## Columns',
+        '',
+        '| Position | Column | WIP limit |',
+        '| --- | --- | --- |'
+    ];
+    project.columns.forEach(column => {
+        lines.push(`| ${column.position} | ${markdownCell(column.title)} (#${column.id}) | ${column.task_limit || '∞'} |`);
+    });
+    return lines.join('\n');
+}
+
+// Helper function to load the data behind kanboard://project/{id}/board
+async function loadBoardResource(uri, projectId) {
+    const [project, board] = await fetchForResource(uri, [
+        { method: 'getProjectById', params: { project_id: projectId } },
+        { method: 'getBoard', params: { project_id: projectId } }
+    ]);
+    const tagsByTask = await getTagsForTasks(board.flatMap(swimlane =>
+        swimlane.columns.flatMap(column => column.tasks.map(task => task.id))));
+
+    return {
+        project_id: project.id,
+        project_name: project.name,
+        url: boardUrl(project.id),
+        swimlanes: board.map(swimlane => ({
+            id: swimlane.id,
+            name: swimlane.name,
+            columns: swimlane.columns.map(column => ({
+                id: column.id,
+                title: column.title,
+                task_limit: parseInt(column.task_limit) || 0,
+                tasks: column.tasks.map(task => ({
+                    id: task.id,
+                    title: task.title,
+                    priority: getPriorityColor(task.priority),
+                    owner: task.assignee_name || 'Unassigned',
+                    due_date: formatDate(task.date_due),
+                    tags: tagsByTask[task.id]
+                }))
+            }))
+        }))
+    };
+}
+
+// Helper function to render a board as Markdown, one section per column. Used for the board
+// resource and the get_board tool, whose result has no project name or URL.
+function renderBoardMarkdown(board) {
+    const lines = [`# ${board.project_name || `Project #${board.project_id}`} — Board`];
+    if (board.url) lines.push('', board.url);
+    (board.columns || []).filter(column => column.over_limit).forEach(column => {
+        lines.push('', `⚠️ Column "${column.title}" holds ${column.task_count} tasks, over its WIP limit of ${column.task_limit}`);
+    });
+    const showSwimlaneHeadings = board.swimlanes.length > 1;
+
+    board.swimlanes.forEach(swimlane => {
+        if (showSwimlaneHeadings) {
+            const count = swimlane.columns.reduce((sum, column) => sum + column.tasks.length, 0);
+            lines.push('', `## ${swimlane.name} (${count} tasks)`);
         }
-    },
-    {
-        name: 'move_task',
-        description: 'Move a task to a different column',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                task_id: {
-                    type: 'number',
-                    description: 'Task ID'
-                },
-                column_id: {
-                    type: 'number',
-                    description: 'Target column ID'
-                },
-                position: {
-                    type: 'number',
-                    description: 'Position in the column (optional)',
-                    default: 1
-                }
-            },
-            required: ['task_id', 'column_id']
+        swimlane.columns.forEach(column => {
+            const limit = parseInt(column.task_limit) ? `/${column.task_limit}` : '';
+            lines.push('', `${showSwimlaneHeadings ? '###' : '##'} ${column.title} (${column.tasks.length}${limit})`, '');
+            if (column.tasks.length === 0) {
+                lines.push('_No tasks_');
+            }
+            column.tasks.forEach(task => {
+                const details = [task.priority, task.owner];
+                if (task.due_date !== 'Not set') details.push(`due ${task.due_date}`);
+                if (task.tags.length) details.push(task.tags.map(tag => `\`${tag}\``).join(' '));
+                lines.push(`- **#${task.id}** ${task.title} — ${details.join(' · ')}`);
+            });
+        });
+    });
+    return lines.join('\n');
+}
+
+// Helper function to load the data behind kanboard://task/{id}
+async function loadTaskResource(uri, taskId) {
+    const [task] = await fetchForResource(uri, [{ method: 'getTask', params: { task_id: taskId } }]);
+    assertProjectAllowed(parseInt(task.project_id));
+    const [[subtasksResponse, commentsResponse, tagsResponse], categoryNames] = await Promise.all([
+        kanboardBatch([
+            { method: 'getAllSubtasks', params: { task_id: taskId } },
+            { method: 'getAllComments', params: { task_id: taskId } },
+            { method: 'getTaskTags', params: { task_id: taskId } }
+        ]),
+        getCategoryNames([task.project_id])
+    ]);
+    const subtasks = subtasksResponse.success ? subtasksResponse.data : [];
+
+    return {
+        id: task.id,
+        title: task.title,
+        description: task.description || 'No description',
+        project_id: task.project_id,
+        project_name: task.project_name,
+        column: task.column_title,
+        category: getCategoryName(categoryNames, task.category_id),
+        is_active: task.is_active === '1',
+        priority: getPriorityColor(task.priority),
+        owner: task.assignee_name || 'Unassigned',
+        creator: task.creator_name,
+        created: formatDate(task.date_creation),
+        modified: formatDate(task.date_modification),
+        due_date: formatDate(task.date_due),
+        completed: formatDate(task.date_completed),
+        time_estimated: task.time_estimated ? `${task.time_estimated}h` : 'Not set',
+        time_spent: task.time_spent ? `${task.time_spent}h` : '0h',
+        tags: tagsResponse.success && tagsResponse.data ? Object.values(tagsResponse.data) : [],
+        url: taskUrl(task.id, task.project_id),
+        subtask_progress: getSubtaskProgress(subtasks),
+        subtasks: subtasks.map(formatSubtask),
+        comments: (commentsResponse.success ? commentsResponse.data : []).map(comment => ({
+            id: comment.id,
+            author: comment.name || comment.username,
+            created: formatDate(comment.date_creation),
+            comment: comment.comment
+        }))
+    };
+}
+
+// Helper function to render a task resource as Markdown
+function renderTaskMarkdown(task) {
+    const lines = [
+        `# #${task.id} ${task.title}`,
+        '',
+        '| Field | Value |',
+        '| --- | --- |',
+        `| Project | ${markdownCell(task.project_name)} |`,
+        `| Column | ${markdownCell(task.column)} |`,
+        `| Status | ${task.is_active ? 'Open' : 'Closed'} |`,
+        `| Priority | ${task.priority} |`,
+        `| Assignee | ${markdownCell(task.owner)} |`,
+        `| Creator | ${markdownCell(task.creator)} |`,
+        `| Created | ${task.created} |`,
+        `| Due | ${task.due_date} |`,
+        `| Time | ${task.time_spent} spent / ${task.time_estimated} estimated |`,
+        `| Tags | ${task.tags.length ? task.tags.map(markdownCell).join(', ') : 'None'} |`,
+        `| URL | ${task.url} |`,
+        '',
+        '## Description',
+        '',
+        task.description
+    ];
+
+    if (task.subtasks.length) {
+        const progress = task.subtask_progress;
+        lines.push('', `## Subtasks (${progress.done}/${progress.total} done)`, '');
+        task.subtasks.forEach(subtask => {
+            const box = subtask.status_id === 2 ? '[x]' : '[ ]';
+            const state = subtask.status_id === 1 ? ' _(in progress)_' : '';
+            lines.push(`- ${box} ${subtask.title}${state} — ${subtask.assignee}, ${subtask.time_spent}/${subtask.time_estimated}`);
+        });
+    }
+
+    if (task.comments.length) {
+        lines.push('', `## Comments (${task.comments.length})`);
+        task.comments.forEach(comment => {
+            lines.push('', `**${comment.author || 'Unknown'}** — ${comment.created}`, '', comment.comment.split('\n').map(line => `> ${line}`).join('\n'));
+        });
+    }
+    return lines.join('\n');
+}
+
+// Read a kanboard:// resource and render it as Markdown, or as JSON with ?format=json
+async function readResource(uri) {
+    const match = String(uri).match(/^kanboard:\/\/(project|task)\/(\d+)(\/board)?\/?(?:\?format=(json|markdown))?$/);
+    if (!match || (match[1] === 'task' && match[3])) throw new ResourceNotFoundError(uri, 'unknown URI');
+
+    const [, kind, id, board, format] = match;
+    if (kind === 'project') assertProjectAllowed(parseInt(id));
+    let data;
+    let render;
+    if (kind === 'task') {
+        data = await loadTaskResource(uri, parseInt(id));
+        render = renderTaskMarkdown;
+    } else if (board) {
+        data = await loadBoardResource(uri, parseInt(id));
+        render = renderBoardMarkdown;
+    } else {
+        data = await loadProjectResource(uri, parseInt(id));
+        render = renderProjectMarkdown;
+    }
+
+    return format === 'json'
+        ? { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }
+        : { uri, mimeType: 'text/markdown', text: render(data) };
+}
+
+// List the concrete project and board resources; tasks are reachable via the templates
+async function listResources() {
+    const response = await kanboardRequest('getAllProjects');
+    if (!response.success) throw response.cause;
+
+    const visibleProjects = response.data.filter(project => isProjectVisible(parseInt(project.id)));
+
+    return visibleProjects.flatMap(project => [
+        {
+            uri: `kanboard://project/${project.id}`,
+            name: `Project: ${project.name}`,
+            description: project.description || `Kanboard project #${project.id}`,
+            mimeType: 'text/markdown'
+        },
+        {
+            uri: `kanboard://project/${project.id}/board`,
+            name: `Board: ${project.name}`,
+            description: `Swimlanes, columns and open tasks of ${project.name}`,
+            mimeType: 'text/markdown'
         }
-    },
+    ]);
+}
+
+// MCP Prompts Definition
+const prompts = [
     {
-        name: 'close_task',
-        description: 'Close/complete a task',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                task_id: {
-                    type: 'number',
-                    description: 'Task ID'
-                }
-            },
-            required: ['task_id']
-        }
+        name: 'daily_standup',
+        description: 'Daily standup for a project: what moved, what is in progress, what is blocked or overdue',
+        arguments: [
+            { name: 'project', description: 'Project ID or name', required: true }
+        ]
     },
     {
-        name: 'get_columns',
-        description: 'Get all columns for a project',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                project_id: {
-                    type: 'number',
-                    description: 'Project ID'
-                }
-            },
-            required: ['project_id']
-        }
+        name: 'triage_unassigned',
+        description: 'Triage the open unassigned tasks of a project and propose owners, priorities and tags',
+        arguments: [
+            { name: 'project', description: 'Project ID or name', required: true }
+        ]
     },
     {
-        name: 'get_users',
-        description: 'Get all users in the system',
-        inputSchema: {
-            type: 'object',
-            properties: {},
-            required: []
-        }
+        name: 'sprint_retro',
+        description: 'Sprint retrospective based on the tasks closed in the last N days',
+        arguments: [
+            { name: 'project', description: 'Project ID or name', required: true },
+            { name: 'days', description: 'Length of the sprint in days (default 14)', required: false }
+        ]
     },
     {
-        name: 'get_my_dashboard',
-        description: 'Get dashboard view with user\'s tasks and projects',
-        inputSchema: {
-            type: 'object',
-            properties: {},
-            required: []
+        name: 'task_from_bug_report',
+        description: 'Turn a bug report into a well-formed Kanboard task and create it',
+        arguments: [
+            { name: 'project', description: 'Project ID or name', required: true },
+            { name: 'bug_report', description: 'The bug report text (user message, log excerpt, ...)', required: true }
+        ]
+    }
+];
+
+// Error raised for invalid request parameters (JSON-RPC "invalid params")
+class InvalidParamsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidParamsError';
+        this.code = -32602;
+    }
+}
+
+// Helper function to format a task as a single Markdown line for prompts
+function formatPromptTask(task) {
+    const details = [task.column_title, task.assignee_name || 'Unassigned', getPriorityColor(task.priority)];
+    if (task.date_due && task.date_due !== '0') details.push(`due ${formatDate(task.date_due)}`);
+    return `- #${task.id} ${task.title} (${details.join(', ')})`;
+}
+
+// Helper function to resolve the project argument of a prompt
+async function resolvePromptProject(value) {
+    if (!value) throw new InvalidParamsError('Missing required argument: project');
+    try {
+        const projectId = await resolveProject(value);
+        assertProjectAllowed(projectId);
+        const [project] = await fetchForResource(`kanboard://project/${projectId}`, [{ method: 'getProjectById', params: { project_id: projectId } }]);
+        return project;
+    } catch (error) {
+        if (error instanceof ResolutionError) {
+            const candidates = error.candidates.map(candidate => `${candidate.name} (#${candidate.id})`).join(', ');
+            throw new InvalidParamsError(candidates ? `${error.message}. Candidates: ${candidates}` : error.message);
         }
-    },
-    {
-        name: 'get_overdue_tasks',
-        description: 'Get all overdue tasks across projects',
-        inputSchema: {
-            type: 'object',
-            properties: {},
-            required: []
+        throw error;
+    }
+}
+
+// Helper function to build an embedded resource message from a kanboard:// URI
+async function resourceMessage(uri) {
+    return {
+        role: 'user',
+        content: { type: 'resource', resource: await readResource(uri) }
+    };
+}
+
+// Helper function to build a plain text prompt message
+function textMessage(text) {
+    return { role: 'user', content: { type: 'text', text } };
+}
+
+// Build the messages of a prompt, pre-filled with current Kanboard data
+async function getPrompt(name, args = {}) {
+    switch (name) {
+        case 'daily_standup': {
+            const project = await resolvePromptProject(args.project);
+            const since = Date.now() / 1000 - 24 * 3600;
+            const [closedResponse, overdueResponse] = await kanboardBatch([
+                { method: 'getAllTasks', params: { project_id: project.id, status_id: 0 } },
+                { method: 'getOverdueTasksByProject', params: { project_id: project.id } }
+            ]);
+            const closedRecently = (closedResponse.success ? closedResponse.data : [])
+                .filter(task => parseInt(task.date_completed) >= since);
+            const overdue = overdueResponse.success ? overdueResponse.data : [];
+
+            return {
+                description: `Daily standup for ${project.name}`,
+                messages: [
+                    await resourceMessage(`kanboard://project/${project.id}/board`),
+                    textMessage([
+                        `Prepare today's standup for the Kanboard project "${project.name}" using the board above.`,
+                        '',
+                        `Closed in the last 24 hours (${closedRecently.length}):`,
+                        ...(closedRecently.length ? closedRecently.map(formatPromptTask) : ['- none']),
+                        '',
+                        `Overdue (${overdue.length}):`,
+                        ...(overdue.length ? overdue.map(formatPromptTask) : ['- none']),
+                        '',
+                        'Summarize per person: what was done, what is in progress, and what is blocked or overdue.',
+                        'Point out columns that are over their WIP limit and tasks without an assignee. Keep it short.'
+                    ].join('\n'))
+                ]
+            };
         }
-    },
-    {
-        name: 'search_tasks',
-        description: 'Search for tasks by query',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                project_id: {
-                    type: 'number',
-                    description: 'Project ID (optional, searches all projects if not specified)'
-                },
-                query: {
-                    type: 'string',
-                    description: 'Search query'
-                }
-            },
-            required: ['query']
+
+        case 'triage_unassigned': {
+            const project = await resolvePromptProject(args.project);
+            const [tasksResponse, usersResponse, tagsResponse] = await kanboardBatch([
+                { method: 'getAllTasks', params: { project_id: project.id, status_id: 1 } },
+                { method: 'getProjectUsers', params: { project_id: project.id } },
+                { method: 'getTagsByProject', params: { project_id: project.id } }
+            ]);
+            if (!tasksResponse.success) throw tasksResponse.cause;
+            const unassigned = tasksResponse.data.filter(task => !parseInt(task.owner_id));
+            const members = usersResponse.success && usersResponse.data
+                ? Object.entries(usersResponse.data).map(([id, username]) => `${username} (#${id})`)
+                : [];
+            const tags = tagsResponse.success ? tagsResponse.data.map(tag => tag.name) : [];
+
+            return {
+                description: `Triage unassigned tasks of ${project.name}`,
+                messages: [
+                    textMessage([
+                        `Triage the open, unassigned tasks of the Kanboard project "${project.name}" (#${project.id}).`,
+                        '',
+                        `Unassigned tasks (${unassigned.length}):`,
+                        ...(unassigned.length
+                            ? unassigned.map(task => `${formatPromptTask(task)}\n  ${(task.description || 'No description').substring(0, 200).replace(/\n/g, ' ')}`)
+                            : ['- none']),
+                        '',
+                        `Project members: ${members.length ? members.join(', ') : 'unknown'}`,
+                        `Existing tags: ${tags.length ? tags.join(', ') : 'none'}`,
+                        '',
+                        'For each task propose an assignee, a priority (0-3) and tags, with a one-line reason.',
+                        'Present the proposal as a table and wait for my confirmation before calling update_task or set_task_tags.'
+                    ].join('\n'))
+                ]
+            };
         }
-    },
-    {
-        name: 'add_comment',
-        description: 'Add a comment to a task',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                task_id: {
-                    type: 'number',
-                    description: 'Task ID'
-                },
-                comment: {
-                    type: 'string',
-                    description: 'Comment text'
-                }
-            },
-            required: ['task_id', 'comment']
+
+        case 'sprint_retro': {
+            const project = await resolvePromptProject(args.project);
+            const days = args.days === undefined || args.days === '' ? 14 : parseInt(args.days);
+            if (isNaN(days) || days < 1) throw new InvalidParamsError(`Invalid argument days: "${args.days}" (expected a positive number)`);
+
+            const since = Date.now() / 1000 - days * 24 * 3600;
+            const [closedResponse, openResponse] = await kanboardBatch([
+                { method: 'getAllTasks', params: { project_id: project.id, status_id: 0 } },
+                { method: 'getAllTasks', params: { project_id: project.id, status_id: 1 } }
+            ]);
+            if (!closedResponse.success) throw closedResponse.cause;
+            const closed = closedResponse.data.filter(task => parseInt(task.date_completed) >= since);
+            const carriedOver = (openResponse.success ? openResponse.data : [])
+                .filter(task => parseInt(task.date_creation) < since);
+            const leadTimes = closed
+                .map(task => (parseInt(task.date_completed) - parseInt(task.date_creation)) / (24 * 3600))
+                .filter(value => value >= 0);
+            const averageLeadTime = leadTimes.length
+                ? (leadTimes.reduce((sum, value) => sum + value, 0) / leadTimes.length).toFixed(1)
+                : 'n/a';
+
+            return {
+                description: `Sprint retro for ${project.name} (last ${days} days)`,
+                messages: [
+                    textMessage([
+                        `Run a sprint retrospective for the Kanboard project "${project.name}" covering the last ${days} days.`,
+                        '',
+                        `Closed tasks (${closed.length}), average lead time ${averageLeadTime} days:`,
+                        ...(closed.length
+                            ? closed.map(task => `${formatPromptTask(task)}, closed ${formatDate(task.date_completed)}, ${task.time_spent || 0}h spent of ${task.time_estimated || 0}h estimated`)
+                            : ['- none']),
+                        '',
+                        `Still open from before the sprint (${carriedOver.length}):`,
+                        ...(carriedOver.length ? carriedOver.map(formatPromptTask) : ['- none']),
+                        '',
+                        'Structure the retro as: what went well, what did not go well, and concrete action items.',
+                        'Call out estimate misses and long-running tasks.'
+                    ].join('\n'))
+                ]
+            };
         }
-    },
-    {
-        name: 'get_task_comments',
-        description: 'Get all comments for a task',
-        inputSchema: {
-            type: 'object',
-            properties: {
-                task_id: {
-                    type: 'number',
-                    description: 'Task ID'
-                }
-            },
-            required: ['task_id']
+
+        case 'task_from_bug_report': {
+            const project = await resolvePromptProject(args.project);
+            if (!args.bug_report) throw new InvalidParamsError('Missing required argument: bug_report');
+            const [categoriesResponse, tagsResponse] = await kanboardBatch([
+                { method: 'getAllCategories', params: { project_id: project.id } },
+                { method: 'getTagsByProject', params: { project_id: project.id } }
+            ]);
+            const categories = categoriesResponse.success && categoriesResponse.data ? categoriesResponse.data.map(category => category.name) : [];
+            const tags = tagsResponse.success ? tagsResponse.data.map(tag => tag.name) : [];
+
+            return {
+                description: `Create a task in ${project.name} from a bug report`,
+                messages: [
+                    await resourceMessage(`kanboard://project/${project.id}`),
+                    textMessage([
+                        `Write a Kanboard task for the project "${project.name}" (#${project.id}) from the bug report below.`,
+                        '',
+                        'Use a short imperative title and a Markdown description with the sections',
+                        '"Summary", "Steps to reproduce", "Expected behavior", "Actual behavior" and "Environment".',
+                        'Leave a section out if the report has no information for it; do not invent details.',
+                        `Pick a category from: ${categories.length ? categories.join(', ') : 'none available'}.`,
+                        `Pick tags from: ${tags.length ? tags.join(', ') : 'none available'} (add "bug" if it exists).`,
+                        'Set a priority (0-3) based on impact. Show me the task, then call create_task once I confirm.',
+                        '',
+                        'Bug report:',
+                        '"""',
+                        args.bug_report,
+                        '"""'
+                    ].join('\n'))
+                ]
+            };
         }
+
+        default:
+            throw new InvalidParamsError(`Prompt '${name}' not found`);
     }
-];
+}
 
-// MCP JSON-RPC Handler
-app.post('/mcp', async (req, res) => {
-    const { method, params, id } = req.body;
+// MCP protocol versions this server speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Handle a single JSON-RPC message and return its response, or null for notifications
+// and client responses, which must not be answered
+async function handleMessage(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+        return {
+            jsonrpc: '2.0',
+            id: message && message.id !== undefined ? message.id : null,
+            error: { code: -32600, message: 'Invalid Request' }
+        };
+    }
+
+    const { method, params, id } = message;
+
+    if (method === undefined) {
+        if (id !== undefined && ('result' in message || 'error' in message)) return null;
+        return { jsonrpc: '2.0', id: id === undefined ? null : id, error: { code: -32600, message: 'Invalid Request' } };
+    }
 
     console.log(`[Kanboard MCP] ${new Date().toISOString()} - ${method}`);
 
+    // Notifications (no id) are acknowledged by the transport; none of them need action here
+    if (id === undefined) return null;
+
     const jsonRpcResponse = (result, error = null) => {
         const response = { jsonrpc: '2.0' };
         if (id !== undefined) response.id = id;
@@ -370,578 +1840,374 @@ app.post('/mcp', async (req, res) => {
         switch (method) {
             case 'initialize':
                 console.log('[Kanboard MCP] Initializing server...');
-                return res.json(jsonRpcResponse({
-                    protocolVersion: '2024-11-05',
+                return jsonRpcResponse({
+                    protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params?.protocolVersion)
+                        ? params.protocolVersion
+                        : SUPPORTED_PROTOCOL_VERSIONS[0],
                     capabilities: { tools: {}, resources: {}, prompts: {} },
                     serverInfo: {
                         name: 'kanboard-mcp-server',
                         version: '1.0.0',
                         description: 'Kanboard integration for LibreChat'
                     }
-                }));
+                });
 
             case 'ping':
-                return res.json(jsonRpcResponse({}));
-
-            case 'notifications/initialized':
-                return res.json(jsonRpcResponse({}));
+                return jsonRpcResponse({});
 
             case 'tools/list':
-                return res.json(jsonRpcResponse({ tools }));
+                return jsonRpcResponse({ tools: registry.list().filter(tool => !getToolDenialReason(tool)).map(describeTool) });
 
             case 'tools/call':
-                const { name: toolName, arguments: args } = params;
+                const { name: toolName, arguments: rawArgs } = params || {};
                 console.log(`[Kanboard MCP] Executing: ${toolName}`);
 
                 let result;
-
-                switch (toolName) {
-                    case 'get_all_projects':
-                        try {
-                            const response = await kanboardRequest('getAllProjects');
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    projects: response.data.map(project => ({
-                                        id: project.id,
-                                        name: project.name,
-                                        description: project.description || 'No description',
-                                        is_active: project.is_active === '1',
-                                        is_public: project.is_public === '1',
-                                        created: formatDate(project.created),
-                                        modified: formatDate(project.modified),
-                                        owner: project.owner_id
-                                    })),
-                                    total: response.data.length
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'get_project':
-                        try {
-                            const response = await kanboardRequest('getProjectById', {
-                                project_id: args.project_id
-                            });
-
-                            if (response.success && response.data) {
-                                const project = response.data;
-                                result = {
-                                    success: true,
-                                    project: {
-                                        id: project.id,
-                                        name: project.name,
-                                        description: project.description || 'No description',
-                                        is_active: project.is_active === '1',
-                                        is_public: project.is_public === '1',
-                                        created: formatDate(project.created),
-                                        modified: formatDate(project.modified),
-                                        owner_id: project.owner_id,
-                                        start_date: formatDate(project.start_date),
-                                        end_date: formatDate(project.end_date),
-                                        url: `${KANBOARD_URL}/?controller=BoardViewController&action=show&project_id=${project.id}`
-                                    }
-                                };
-                            } else {
-                                result = { success: false, error: response.error || 'Project not found' };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'create_project':
-                        try {
-                            const response = await kanboardRequest('createProject', {
-                                name: args.name,
-                                description: args.description || ''
-                            });
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    project_id: response.data,
-                                    message: `Project "${args.name}" created successfully`,
-                                    url: `${KANBOARD_URL}/?controller=BoardViewController&action=show&project_id=${response.data}`
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'get_board':
-                        try {
-                            const boardResponse = await kanboardRequest('getBoard', {
-                                project_id: args.project_id
-                            });
-
-                            if (boardResponse.success) {
-                                result = {
-                                    success: true,
-                                    project_id: args.project_id,
-                                    board: boardResponse.data.map(column => ({
-                                        id: column.id,
-                                        title: column.title,
-                                        position: column.position,
-                                        task_limit: column.task_limit,
-                                        tasks: column.tasks.map(task => ({
-                                            id: task.id,
-                                            title: task.title,
-                                            description: task.description?.substring(0, 100) + (task.description?.length > 100 ? '...' : ''),
-                                            priority: getPriorityColor(task.priority),
-                                            owner: task.assignee_name || 'Unassigned',
-                                            created: formatDate(task.date_creation),
-                                            due_date: formatDate(task.date_due),
-                                            color: task.color_id,
-                                            position: task.position,
-                                            url: `${KANBOARD_URL}/?controller=TaskViewController&action=show&task_id=${task.id}&project_id=${args.project_id}`
-                                        })),
-                                        task_count: column.tasks.length
-                                    })),
-                                    total_tasks: boardResponse.data.reduce((sum, col) => sum + col.tasks.length, 0)
-                                };
-                            } else {
-                                result = { success: false, error: boardResponse.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'get_all_tasks':
-                        try {
-                            const response = await kanboardRequest('getAllTasks', {
-                                project_id: args.project_id,
-                                status_id: args.status_id !== undefined ? args.status_id : 1
-                            });
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    project_id: args.project_id,
-                                    status: args.status_id === 1 ? 'Open' : 'Closed',
-                                    tasks: response.data.map(task => ({
-                                        id: task.id,
-                                        title: task.title,
-                                        description: task.description?.substring(0, 150) + (task.description?.length > 150 ? '...' : ''),
-                                        column: task.column_title,
-                                        priority: getPriorityColor(task.priority),
-                                        owner: task.assignee_name || 'Unassigned',
-                                        creator: task.creator_name,
-                                        created: formatDate(task.date_creation),
-                                        modified: formatDate(task.date_modification),
-                                        due_date: formatDate(task.date_due),
-                                        completed: formatDate(task.date_completed),
-                                        url: `${KANBOARD_URL}/?controller=TaskViewController&action=show&task_id=${task.id}&project_id=${args.project_id}`
-                                    })),
-                                    total: response.data.length
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'get_task':
-                        try {
-                            const response = await kanboardRequest('getTask', {
-                                task_id: args.task_id
-                            });
-
-                            if (response.success && response.data) {
-                                const task = response.data;
-                                result = {
-                                    success: true,
-                                    task: {
-                                        id: task.id,
-                                        title: task.title,
-                                        description: task.description || 'No description',
-                                        project_id: task.project_id,
-                                        project_name: task.project_name,
-                                        column: task.column_title,
-                                        column_id: task.column_id,
-                                        priority: getPriorityColor(task.priority),
-                                        owner: task.assignee_name || 'Unassigned',
-                                        owner_id: task.owner_id,
-                                        creator: task.creator_name,
-                                        created: formatDate(task.date_creation),
-                                        modified: formatDate(task.date_modification),
-                                        started: formatDate(task.date_started),
-                                        due_date: formatDate(task.date_due),
-                                        completed: formatDate(task.date_completed),
-                                        time_estimated: task.time_estimated ? `${task.time_estimated}h` : 'Not set',
-                                        time_spent: task.time_spent ? `${task.time_spent}h` : '0h',
-                                        is_active: task.is_active === '1',
-                                        position: task.position,
-                                        score: task.score,
-                                        url: `${KANBOARD_URL}/?controller=TaskViewController&action=show&task_id=${task.id}&project_id=${task.project_id}`
-                                    }
-                                };
-                            } else {
-                                result = { success: false, error: response.error || 'Task not found' };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'create_task':
-                        try {
-                            const taskData = {
-                                project_id: args.project_id,
-                                title: args.title,
-                                description: args.description || '',
-                                priority: args.priority || 0
-                            };
-
-                            if (args.owner_id) taskData.owner_id = args.owner_id;
-                            if (args.column_id) taskData.column_id = args.column_id;
-
-                            const response = await kanboardRequest('createTask', taskData);
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    task_id: response.data,
-                                    message: `Task "${args.title}" created successfully`,
-                                    url: `${KANBOARD_URL}/?controller=TaskViewController&action=show&task_id=${response.data}&project_id=${args.project_id}`
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'update_task':
-                        try {
-                            const updateData = { task_id: args.task_id };
-
-                            if (args.title !== undefined) updateData.title = args.title;
-                            if (args.description !== undefined) updateData.description = args.description;
-                            if (args.owner_id !== undefined) updateData.owner_id = args.owner_id;
-                            if (args.priority !== undefined) updateData.priority = args.priority;
-
-                            const response = await kanboardRequest('updateTask', updateData);
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    task_id: args.task_id,
-                                    message: 'Task updated successfully'
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'move_task':
-                        try {
-                            const response = await kanboardRequest('moveTaskPosition', {
-                                project_id: args.project_id || null,
-                                task_id: args.task_id,
-                                column_id: args.column_id,
-                                position: args.position || 1
-                            });
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    task_id: args.task_id,
-                                    new_column_id: args.column_id,
-                                    message: 'Task moved successfully'
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'close_task':
-                        try {
-                            const response = await kanboardRequest('closeTask', {
-                                task_id: args.task_id
-                            });
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    task_id: args.task_id,
-                                    message: 'Task closed successfully'
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'get_columns':
-                        try {
-                            const response = await kanboardRequest('getColumns', {
-                                project_id: args.project_id
-                            });
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    project_id: args.project_id,
-                                    columns: response.data.map(column => ({
-                                        id: column.id,
-                                        title: column.title,
-                                        position: column.position,
-                                        task_limit: column.task_limit,
-                                        description: column.description || 'No description'
-                                    })),
-                                    total: response.data.length
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'get_users':
-                        try {
-                            const response = await kanboardRequest('getAllUsers');
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    users: response.data.map(user => ({
-                                        id: user.id,
-                                        username: user.username,
-                                        name: user.name || user.username,
-                                        email: user.email,
-                                        role: user.role,
-                                        is_active: user.is_active === '1',
-                                        created: formatDate(user.created)
-                                    })),
-                                    total: response.data.length
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'get_my_dashboard':
-                        try {
-                            const projectsResponse = await kanboardRequest('getAllProjects');
-                            const tasksResponse = await kanboardRequest('getMyTasks');
-
-                            if (projectsResponse.success && tasksResponse.success) {
-                                result = {
-                                    success: true,
-                                    dashboard: {
-                                        projects: {
-                                            total: projectsResponse.data.length,
-                                            active: projectsResponse.data.filter(p => p.is_active === '1').length
-                                        },
-                                        my_tasks: {
-                                            total: tasksResponse.data.length,
-                                            tasks: tasksResponse.data.slice(0, 10).map(task => ({
-                                                id: task.id,
-                                                title: task.title,
-                                                project: task.project_name,
-                                                column: task.column_title,
-                                                priority: getPriorityColor(task.priority),
-                                                due_date: formatDate(task.date_due),
-                                                url: `${KANBOARD_URL}/?controller=TaskViewController&action=show&task_id=${task.id}&project_id=${task.project_id}`
-                                            }))
-                                        }
-                                    }
-                                };
-                            } else {
-                                result = {
-                                    success: false,
-                                    error: projectsResponse.error || tasksResponse.error
-                                };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'get_overdue_tasks':
-                        try {
-                            const response = await kanboardRequest('getOverdueTasks');
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    overdue_tasks: response.data.map(task => ({
-                                        id: task.id,
-                                        title: task.title,
-                                        project: task.project_name,
-                                        column: task.column_title,
-                                        owner: task.assignee_name || 'Unassigned',
-                                        due_date: formatDate(task.date_due),
-                                        days_overdue: Math.floor((Date.now() / 1000 - task.date_due) / (24 * 3600)),
-                                        priority: getPriorityColor(task.priority),
-                                        url: `${KANBOARD_URL}/?controller=TaskViewController&action=show&task_id=${task.id}&project_id=${task.project_id}`
-                                    })),
-                                    total: response.data.length
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'search_tasks':
-                        try {
-                            const searchParams = { query: args.query };
-                            if (args.project_id) searchParams.project_id = args.project_id;
-
-                            const response = await kanboardRequest('searchTasks', searchParams);
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    query: args.query,
-                                    project_id: args.project_id || 'all',
-                                    results: response.data.map(task => ({
-                                        id: task.id,
-                                        title: task.title,
-                                        description: task.description?.substring(0, 100) + (task.description?.length > 100 ? '...' : ''),
-                                        project: task.project_name,
-                                        column: task.column_title,
-                                        owner: task.assignee_name || 'Unassigned',
-                                        created: formatDate(task.date_creation),
-                                        priority: getPriorityColor(task.priority),
-                                        url: `${KANBOARD_URL}/?controller=TaskViewController&action=show&task_id=${task.id}&project_id=${task.project_id}`
-                                    })),
-                                    total: response.data.length
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'add_comment':
-                        try {
-                            const response = await kanboardRequest('createComment', {
-                                task_id: args.task_id,
-                                comment: args.comment
-                            });
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    comment_id: response.data,
-                                    task_id: args.task_id,
-                                    message: 'Comment added successfully'
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    case 'get_task_comments':
-                        try {
-                            const response = await kanboardRequest('getAllComments', {
-                                task_id: args.task_id
-                            });
-
-                            if (response.success) {
-                                result = {
-                                    success: true,
-                                    task_id: args.task_id,
-                                    comments: response.data.map(comment => ({
-                                        id: comment.id,
-                                        comment: comment.comment,
-                                        author: comment.username,
-                                        created: formatDate(comment.date_creation),
-                                        updated: formatDate(comment.date_modification)
-                                    })),
-                                    total: response.data.length
-                                };
-                            } else {
-                                result = { success: false, error: response.error };
-                            }
-                        } catch (error) {
-                            result = { success: false, error: error.message };
-                        }
-                        break;
-
-                    default:
-                        return res.json(jsonRpcResponse(null, {
-                            code: -32601,
-                            message: `Tool '${toolName}' not found`
-                        }));
+                let args;
+                let format = MCP_OUTPUT_FORMAT;
+                // Tools that return more than JSON (images, file contents) attach their own MCP content items
+                let content;
+
+                const tool = registry.get(toolName);
+                if (!tool) {
+                    return jsonRpcResponse(null, {
+                        code: -32601,
+                        message: `Tool '${toolName}' not found`
+                    });
                 }
 
-                return res.json(jsonRpcResponse({
-                    content: [{
+                // The result goes out as structuredContent and as text in the requested format. Failed
+                // calls are reported with isError so clients can tell them from successful ones.
+                const toolResponse = () => jsonRpcResponse({
+                    content: content || [{
                         type: 'text',
-                        text: JSON.stringify(result, null, 2)
-                    }]
-                }));
+                        text: renderToolResult(tool, result, format, args)
+                    }],
+                    structuredContent: result,
+                    ...(result.success === false ? { isError: true } : {})
+                });
+
+                try {
+                    const { format: requestedFormat, ...toolArgs } = validateArguments(tool, rawArgs ?? {});
+                    if (requestedFormat) format = requestedFormat;
+                    args = await resolveArguments(toolArgs);
+                } catch (error) {
+                    result = errorResult(error);
+                    return toolResponse();
+                }
+
+                await enforceToolPolicy(tool, args);
+
+                // In dry-run mode kanboardRequest records write calls instead of sending them
+                const context = requestContext.getStore();
+                const dryRun = getPolicy().dryRun && !isReadOnlyTool(tool);
+                if (dryRun) context.dryRunLog = [];
+
+                ({ result, content } = await runTool(tool, args, toolkit));
+
+                if (dryRun) {
+                    result = {
+                        success: result.success !== false || context.dryRunLog.length > 0,
+                        dry_run: true,
+                        tool: toolName,
+                        arguments: args,
+                        // Long values such as base64 file blobs are shortened
+                        kanboard_requests: context.dryRunLog.map(request => ({
+                            method: request.method,
+                            params: Object.fromEntries(Object.entries(request.params).map(([key, value]) => [
+                                key,
+                                typeof value === 'string' && value.length > 200 ? `${value.substring(0, 40)}... (${value.length} characters)` : value
+                            ]))
+                        })),
+                        message: context.dryRunLog.length
+                            ? 'Dry run: no changes were made, these Kanboard requests would have been sent'
+                            : `Dry run: no Kanboard request would have been sent${result.error ? ` (${result.error})` : ''}`
+                    };
+                    delete context.dryRunLog;
+                    content = undefined;
+                }
+
+                return toolResponse();
 
             case 'resources/list':
-                return res.json(jsonRpcResponse({ resources: [] }));
+                return jsonRpcResponse({ resources: await listResources() });
+
+            case 'resources/templates/list':
+                return jsonRpcResponse({ resourceTemplates });
+
+            case 'resources/read':
+                console.log(`[Kanboard MCP] Reading: ${params?.uri}`);
+                return jsonRpcResponse({ contents: [await readResource(params?.uri)] });
 
             case 'prompts/list':
-                return res.json(jsonRpcResponse({ prompts: [] }));
+                return jsonRpcResponse({ prompts });
+
+            case 'prompts/get':
+                console.log(`[Kanboard MCP] Prompt: ${params?.name}`);
+                return jsonRpcResponse(await getPrompt(params?.name, params?.arguments));
 
             default:
-                return res.json(jsonRpcResponse(null, {
+                return jsonRpcResponse(null, {
                     code: -32601,
                     message: `Method '${method}' not found`
-                }));
+                });
         }
     } catch (error) {
         console.error(`[Kanboard MCP] Error:`, error);
-        return res.json(jsonRpcResponse(null, {
-            code: -32603,
-            message: error.message
-        }));
+        return jsonRpcResponse(null, {
+            code: Number.isInteger(error.code) ? error.code : -32603,
+            message: error.message,
+            ...(error.kind ? { data: { type: error.kind, retryable: error.retryable } } : {})
+        });
+    }
+}
+
+// Streamable HTTP sessions, keyed by Mcp-Session-Id
+const SESSION_TTL_MS = parseInt(process.env.MCP_SESSION_TTL_MS) || 30 * 60 * 1000;
+const JSON_RESPONSE_ONLY = process.env.MCP_JSON_RESPONSE === 'true';
+const sessions = new Map();
+
+// Helper function to start a session after a successful initialize
+function createSession(protocolVersion, client) {
+    const session = {
+        id: crypto.randomUUID(),
+        protocolVersion: protocolVersion,
+        clientName: client ? client.name : null,
+        createdAt: Date.now(),
+        lastSeen: Date.now(),
+        streams: new Set()
+    };
+    sessions.set(session.id, session);
+    return session;
+}
+
+// Helper function to close a session and its open SSE streams
+function closeSession(session) {
+    session.streams.forEach(stream => stream.end());
+    sessions.delete(session.id);
+}
+
+// Drop sessions that have been idle longer than the TTL
+setInterval(() => {
+    const cutoff = Date.now() - SESSION_TTL_MS;
+    sessions.forEach(session => {
+        if (session.lastSeen < cutoff && session.streams.size === 0) closeSession(session);
+    });
+}, 60 * 1000).unref();
+
+// Helper function to send a transport-level JSON-RPC error
+function sendHttpError(res, status, code, message) {
+    return res.status(status).json({ jsonrpc: '2.0', id: null, error: { code, message } });
+}
+
+// Helper function to compare tokens in constant time
+function tokensMatch(expected, actual) {
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    const actualHash = crypto.createHash('sha256').update(actual).digest();
+    return crypto.timingSafeEqual(expectedHash, actualHash);
+}
+
+// Middleware: reject disallowed browser origins and authenticate the client by bearer token or API key
+function authenticate(req, res, next) {
+    const origin = req.get('Origin');
+    if (origin && MCP_CORS_ORIGINS.length && !MCP_CORS_ORIGINS.includes(origin)) {
+        return sendHttpError(res, 403, -32000, `Forbidden: origin ${origin} is not allowed`);
+    }
+
+    req.client = null;
+    if (!AUTH_ENABLED) return next();
+
+    const authorization = req.get('Authorization') || '';
+    const token = authorization.startsWith('Bearer ')
+        ? authorization.slice('Bearer '.length).trim()
+        : (req.get('X-API-Key') || '').trim();
+    const client = token ? clients.find(candidate => tokensMatch(candidate.token, token)) : null;
+
+    if (!client) {
+        res.set('WWW-Authenticate', 'Bearer realm="kanboard-mcp"');
+        return sendHttpError(res, 401, -32000, 'Unauthorized: missing or invalid bearer token');
+    }
+
+    req.client = client;
+    next();
+}
+
+// Helper function to look up the session of a request, answering 400/404 when it is missing or unknown
+function requireSession(req, res) {
+    const sessionId = req.get('Mcp-Session-Id');
+    if (!sessionId) {
+        sendHttpError(res, 400, -32000, 'Bad Request: Mcp-Session-Id header is required');
+        return null;
+    }
+    const session = sessions.get(sessionId);
+    // Sessions belong to the client that created them
+    if (!session || session.clientName !== (req.client ? req.client.name : null)) {
+        sendHttpError(res, 404, -32001, 'Session not found');
+        return null;
+    }
+    session.lastSeen = Date.now();
+    return session;
+}
+
+// Helper function to open a Server-Sent Events response
+function openEventStream(res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+}
+
+// Helper function to write one JSON-RPC message as an SSE event
+function writeEvent(res, message) {
+    res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+// MCP Streamable HTTP endpoint: JSON-RPC messages or batches in, JSON or SSE out
+app.post('/mcp', authenticate, async (req, res) => {
+    const body = req.body;
+    const handle = message => requestContext.run({ client: req.client }, () => handleMessage(message));
+    const batch = Array.isArray(body);
+    const messages = batch ? body : [body];
+
+    if (batch && messages.length === 0) {
+        return sendHttpError(res, 400, -32600, 'Invalid Request: empty batch');
+    }
+
+    const protocolVersion = req.get('Mcp-Protocol-Version');
+    if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+        return sendHttpError(res, 400, -32000, `Bad Request: unsupported protocol version ${protocolVersion}`);
+    }
+
+    const isInitialize = messages.some(message => message && message.method === 'initialize');
+    if (isInitialize && batch) {
+        return sendHttpError(res, 400, -32600, 'Invalid Request: initialize must not be part of a batch');
+    }
+    if (!isInitialize && !requireSession(req, res)) return;
+
+    const hasRequests = messages.some(message => message && message.method !== undefined && message.id !== undefined);
+    if (!hasRequests) {
+        await Promise.all(messages.map(handle));
+        return res.status(202).end();
+    }
+
+    const streaming = !JSON_RESPONSE_ONLY && (req.get('Accept') || '').includes('text/event-stream');
+
+    if (isInitialize) {
+        const response = await handle(body);
+        if (response.result) res.set('Mcp-Session-Id', createSession(response.result.protocolVersion, req.client).id);
+        if (!streaming) return res.json(response);
+        openEventStream(res);
+        writeEvent(res, response);
+        return res.end();
+    }
+
+    if (!streaming) {
+        const responses = (await Promise.all(messages.map(handle))).filter(Boolean);
+        return res.json(batch ? responses : responses[0]);
+    }
+
+    // Stream each response as soon as it is ready, then close the stream
+    openEventStream(res);
+    await Promise.all(messages.map(async message => {
+        const response = await handle(message);
+        if (response) writeEvent(res, response);
+    }));
+    res.end();
+});
+
+// SSE stream for server-initiated messages within a session
+app.get('/mcp', authenticate, (req, res) => {
+    if (!(req.get('Accept') || '').includes('text/event-stream')) {
+        res.set('Allow', 'POST, DELETE');
+        return sendHttpError(res, 405, -32000, 'Method Not Allowed: GET /mcp requires Accept: text/event-stream');
     }
+
+    const session = requireSession(req, res);
+    if (!session) return;
+
+    openEventStream(res);
+    res.write(': connected\n\n');
+    session.streams.add(res);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25 * 1000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        session.streams.delete(res);
+        session.lastSeen = Date.now();
+    });
+});
+
+// Explicit session termination by the client
+app.delete('/mcp', authenticate, (req, res) => {
+    const session = requireSession(req, res);
+    if (!session) return;
+
+    closeSession(session);
+    res.status(200).end();
 });
 
+// stdio transport: newline-delimited JSON-RPC on stdin/stdout, as launched by desktop clients
+function startStdioTransport() {
+    const input = readline.createInterface({ input: process.stdin });
+    const pending = new Set();
+
+    const handleLine = async line => {
+        if (!line.trim()) return;
+
+        let body;
+        try {
+            body = JSON.parse(line);
+        } catch (error) {
+            process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }) + '\n');
+            return;
+        }
+
+        const batch = Array.isArray(body);
+        if (batch && body.length === 0) {
+            process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request: empty batch' } }) + '\n');
+            return;
+        }
+
+        const handle = message => requestContext.run({ client: null }, () => handleMessage(message));
+        const responses = (await Promise.all((batch ? body : [body]).map(handle))).filter(Boolean);
+        if (responses.length > 0) {
+            process.stdout.write(JSON.stringify(batch ? responses : responses[0]) + '\n');
+        }
+    };
+
+    input.on('line', line => {
+        const task = handleLine(line).finally(() => pending.delete(task));
+        pending.add(task);
+    });
+
+    // Let in-flight requests answer before exiting when the client closes stdin; the process
+    // then ends with the event loop, once stdout has drained
+    input.on('close', () => Promise.allSettled([...pending]).then(() => {
+        process.exitCode = 0;
+    }));
+}
+
 // Health Check
+// The server stays up while Kanboard is down, so an unreachable Kanboard reports "degraded"
+// with status 200 instead of failing the container health check
 app.get('/health', async (req, res) => {
     try {
-        const response = await kanboardRequest('getVersion');
+        const response = await probeKanboard();
         res.json({
-            status: 'healthy',
+            status: response.success && circuit.state === 'closed' ? 'healthy' : 'degraded',
             server: 'kanboard-mcp-server',
             version: '1.0.0',
-            tools: tools.length,
+            tools: registry.size,
+            sessions: sessions.size,
+            auth: AUTH_ENABLED ? 'enabled' : 'disabled',
             kanboard: {
                 url: KANBOARD_URL,
                 connection: response.success ? 'connected' : 'failed',
-                version: response.success ? response.data : null
+                version: response.success ? response.data : null,
+                ...(response.success ? {} : { error: response.error, error_type: response.cause.kind }),
+                ...getKanboardStats()
             },
             timestamp: new Date().toISOString()
         });
@@ -950,7 +2216,7 @@ app.get('/health', async (req, res) => {
             status: 'unhealthy',
             server: 'kanboard-mcp-server',
             version: '1.0.0',
-            tools: tools.length,
+            tools: registry.size,
             kanboard: {
                 url: KANBOARD_URL,
                 connection: 'failed',
@@ -962,16 +2228,21 @@ app.get('/health', async (req, res) => {
 });
 
 // Info Endpoint
-app.get('/mcp', (req, res) => {
+app.get('/info', authenticate, (req, res) => {
     res.json({
         protocol: 'mcp',
-        version: '2024-11-05',
+        version: SUPPORTED_PROTOCOL_VERSIONS[0],
+        supported_versions: SUPPORTED_PROTOCOL_VERSIONS,
+        transports: ['streamable-http', 'stdio'],
         server: 'kanboard-mcp-server',
         description: 'Kanboard integration for LibreChat - manage projects, tasks, and boards',
-        capabilities: { tools: true, resources: false, prompts: false },
-        tools: tools.map(tool => ({
+        capabilities: { tools: true, resources: true, prompts: true },
+        resource_templates: resourceTemplates.map(template => template.uriTemplate),
+        prompts: prompts.map(prompt => prompt.name),
+        tools: registry.list().map(tool => ({
             name: tool.name,
-            description: tool.description
+            description: tool.description,
+            source: tool.source
         })),
         kanboard: {
             url: KANBOARD_URL,
@@ -981,17 +2252,19 @@ app.get('/mcp', (req, res) => {
 });
 
 // Test Endpoint
-app.get('/test', async (req, res) => {
+app.get('/test', authenticate, (req, res) => requestContext.run({ client: req.client }, async () => {
     try {
-        const versionResponse = await kanboardRequest('getVersion');
-        const projectsResponse = await kanboardRequest('getAllProjects');
+        const [versionResponse, projectsResponse] = await kanboardBatch([
+            { method: 'getVersion' },
+            { method: 'getAllProjects' }
+        ]);
 
         res.json({
             test: 'passed',
             kanboard_connection: 'working',
             version: versionResponse.success ? versionResponse.data : 'failed',
             projects_count: projectsResponse.success ? projectsResponse.data.length : 'failed',
-            tools: tools.length
+            tools: registry.size
         });
     } catch (error) {
         res.status(500).json({
@@ -1000,27 +2273,44 @@ app.get('/test', async (req, res) => {
             error: error.message
         });
     }
-});
+}));
 
 const PORT = process.env.PORT || 8006;
-app.listen(PORT, () => {
-    console.log('==========================================');
-    console.log('  Kanboard MCP Server Started');
-    console.log('==========================================');
-    console.log(`🚀 Server: http://localhost:${PORT}`);
-    console.log(`🏥 Health: http://localhost:${PORT}/health`);
-    console.log(`🔧 Test: http://localhost:${PORT}/test`);
-    console.log(`📋 Info: http://localhost:${PORT}/mcp`);
-    console.log(`📊 Kanboard: ${KANBOARD_URL}`);
-    console.log(`🛠️  Tools: ${tools.length} available`);
-    console.log(`📡 MCP Endpoint: /mcp`);
-    console.log('==========================================');
-
-    if (!KANBOARD_USERNAME || !KANBOARD_PASSWORD) {
-        console.log('⚠️  WARNING: Kanboard credentials not properly set!');
-        console.log('   Check KANBOARD_USERNAME and KANBOARD_PASSWORD');
-    }
-});
+if (MCP_TRANSPORT === 'stdio') {
+    startStdioTransport();
+    console.log(`[Kanboard MCP] stdio transport ready - Kanboard: ${KANBOARD_URL}, ${registry.size} tools`);
+} else {
+    app.listen(PORT, () => {
+        console.log('==========================================');
+        console.log('  Kanboard MCP Server Started');
+        console.log('==========================================');
+        console.log(`🚀 Server: http://localhost:${PORT}`);
+        console.log(`🏥 Health: http://localhost:${PORT}/health`);
+        console.log(`🔧 Test: http://localhost:${PORT}/test`);
+        console.log(`📋 Info: http://localhost:${PORT}/info`);
+        console.log(`📊 Kanboard: ${KANBOARD_URL}`);
+        console.log(`🗄️  Cache: ${KANBOARD_CACHE_TTL ? `${KANBOARD_CACHE_TTL}s for projects, columns, users, categories and swimlanes` : 'disabled'}`);
+        console.log(`🔁 Kanboard client: ${KANBOARD_TIMEOUT_MS} ms timeout, ${KANBOARD_RETRIES} retries for reads, circuit opens after ${KANBOARD_CIRCUIT_THRESHOLD} failures`);
+        console.log(`🛠️  Tools: ${registry.size} available`);
+        console.log(`📡 MCP Endpoint: /mcp (Streamable HTTP, protocol ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')})`);
+        console.log(`🔐 Auth: ${AUTH_ENABLED ? `bearer token (${clients.length} client${clients.length === 1 ? '' : 's'})` : 'disabled'}`);
+        console.log(`🌐 CORS: ${MCP_CORS_ORIGINS.length ? MCP_CORS_ORIGINS.join(', ') : 'any origin'}`);
+        if (serverPolicy.readOnly) console.log('🛡️  Read-only mode: mutating tools are disabled');
+        if (serverPolicy.dryRun) console.log('🧪 Dry-run mode: mutating tools only report their Kanboard requests');
+        if (MCP_OUTPUT_FORMAT === 'markdown') console.log('📝 Tool output: Markdown text alongside structured content');
+        console.log('==========================================');
+    });
+}
+
+if (MCP_TRANSPORT !== 'stdio' && !AUTH_ENABLED) {
+    console.log('⚠️  WARNING: /mcp is not protected, anyone who can reach it acts as the Kanboard service user!');
+    console.log('   Set MCP_AUTH_TOKEN or MCP_CLIENTS_FILE to require a bearer token');
+}
+
+if (!KANBOARD_USERNAME || !KANBOARD_PASSWORD) {
+    console.log('⚠️  WARNING: Kanboard credentials not properly set!');
+    console.log('   Check KANBOARD_USERNAME and KANBOARD_PASSWORD');
+}
 
 // Graceful shutdown
 process.on('SIGINT', () => {
@@ -0,0 +1,62 @@
+// Markdown rendering shared by resources and tool results
+
+// Helper function to escape table cell content in Markdown
+function markdownCell(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+// Helper function to render a Markdown table from header labels and rows of cell values
+function markdownTable(headers, rows) {
+    return [
+        `| ${headers.map(markdownCell).join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+    ].join('\n');
+}
+
+// Helper function to check whether a value prints on one line (scalars and lists of scalars)
+function isInline(value) {
+    if (Array.isArray(value)) return value.every(item => item === null || typeof item !== 'object');
+    return value === null || typeof value !== 'object';
+}
+
+// Helper function to print a value on one line; nested structures fall back to compact JSON
+function inlineValue(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value) && isInline(value)) return value.join(', ');
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Render any tool result as compact Markdown: scalar fields as a list, lists of objects as
+// tables and nested objects as sections. Tools with a dedicated view provide their own.
+function renderMarkdown(result, depth = 2) {
+    const blocks = [];
+    if (result.success === false) blocks.push(`**Error:** ${result.error || 'The call failed'}`);
+    else if (result.message) blocks.push(result.message);
+
+    const fields = [];
+    const sections = [];
+    for (const [key, value] of Object.entries(result)) {
+        if (value === undefined || ['success', 'error', 'message'].includes(key)) continue;
+
+        if (isInline(value)) {
+            fields.push(`- **${key}:** ${Array.isArray(value) && value.length === 0 ? 'none' : inlineValue(value)}`);
+        } else if (Array.isArray(value)) {
+            const columns = [...new Set(value.flatMap(item => item && typeof item === 'object' ? Object.keys(item) : []))];
+            sections.push(`${'#'.repeat(depth)} ${key} (${value.length})\n\n` + (columns.length === 0
+                ? value.map(item => `- ${inlineValue(item)}`).join('\n')
+                : markdownTable(columns, value.map(item => columns.map(column => inlineValue(item && item[column]))))));
+        } else {
+            sections.push(`${'#'.repeat(depth)} ${key}\n\n${renderMarkdown(value, depth + 1)}`);
+        }
+    }
+    if (fields.length) blocks.push(fields.join('\n'));
+
+    return [...blocks, ...sections].join('\n\n');
+}
+
+module.exports = {
+    markdownCell,
+    markdownTable,
+    renderMarkdown
+};
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const { renderMarkdown } = require('./markdown');
+
+// Text renderings of a tool result, picked with the "format" argument
+const OUTPUT_FORMATS = ['json', 'markdown'];
+
+// Tool registry. A tool is a plain object declaring everything the server needs to serve it:
+//   name, description, annotations   as listed by tools/list (readOnlyHint drives the policy)
+//   inputSchema                      JSON Schema of the arguments, checked before the handler runs
+//   outputSchema                     optional JSON Schema of the result, returned as structuredContent
+//   markdown(result, args)           optional compact Markdown view of a successful result
+//   handler(args, toolkit)           async function returning the result object
+// Handlers return their result and throw on failure; the registry turns errors into
+// { success: false, error } results (see errorResult). A tool module exports a tool, an array of tools, or a
+// function that receives the toolkit (Kanboard client and shared helpers) and returns either.
+// The "format" argument is reserved: the registry adds it to every tool to pick the text output.
+
+// Marks results that carry their own MCP content items (images, file contents)
+const CONTENT = Symbol('content');
+
+// Helper function to attach MCP content items to a tool result; the result itself is still
+// used for dry-run reports and structured output
+function withContent(result, content) {
+    Object.defineProperty(result, CONTENT, { value: content });
+    return result;
+}
+
+// Helper function to check that a tool definition has everything the server relies on
+function validateTool(tool, source) {
+    const where = source ? ` (${source})` : '';
+    if (!tool || typeof tool !== 'object') throw new Error(`Invalid tool definition${where}: expected an object`);
+    if (typeof tool.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+        throw new Error(`Invalid tool name '${tool.name}'${where}: use 1-64 letters, digits, '_' or '-'`);
+    }
+    if (typeof tool.description !== 'string' || !tool.description) {
+        throw new Error(`Tool '${tool.name}'${where} has no description`);
+    }
+    if (!tool.inputSchema || tool.inputSchema.type !== 'object') {
+        throw new Error(`Tool '${tool.name}'${where} needs an inputSchema of type "object"`);
+    }
+    if (tool.inputSchema.properties && tool.inputSchema.properties.format) {
+        throw new Error(`Tool '${tool.name}'${where} declares the reserved argument "format"`);
+    }
+    if (tool.outputSchema && tool.outputSchema.type !== 'object') {
+        throw new Error(`Tool '${tool.name}'${where} needs an outputSchema of type "object"`);
+    }
+    if (tool.markdown && typeof tool.markdown !== 'function') throw new Error(`Tool '${tool.name}'${where} has a markdown renderer that is not a function`);
+    if (typeof tool.handler !== 'function') throw new Error(`Tool '${tool.name}'${where} has no handler function`);
+}
+
+// Helper function to build a tool outputSchema from the tool's own result fields; every result
+// also carries success, plus error on failure and usually a message
+function resultSchema(properties = {}) {
+    return {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            error: { type: 'string' },
+            error_type: { type: 'string' },
+            retryable: { type: 'boolean' },
+            message: { type: 'string' },
+            ...properties
+        },
+        required: ['success']
+    };
+}
+
+// Create an empty registry; tools keep their registration order in tools/list
+function createToolRegistry() {
+    const tools = new Map();
+
+    // Helper function to validate a tool and make sure its name is still free
+    function checkTool(tool, source) {
+        validateTool(tool, source);
+        if (tools.has(tool.name)) {
+            throw new Error(`Tool '${tool.name}'${source ? ` (${source})` : ''} is already registered by ${tools.get(tool.name).source}`);
+        }
+    }
+
+    const registry = {
+        // Register one tool, refusing duplicate names so a plugin cannot silently replace a built-in tool
+        register(tool, source) {
+            checkTool(tool, source);
+            tools.set(tool.name, {
+                ...tool,
+                inputSchema: {
+                    ...tool.inputSchema,
+                    properties: {
+                        ...tool.inputSchema.properties,
+                        format: {
+                            type: 'string',
+                            enum: OUTPUT_FORMATS,
+                            description: 'Text output: "json" or compact "markdown" (defaults to the server setting)'
+                        }
+                    }
+                },
+                source: source || 'built-in'
+            });
+        },
+
+        // Register the tools exported by a tool module and return their names. Nothing is
+        // registered when one of the module's tools is invalid.
+        registerModule(exported, toolkit, source) {
+            const definitions = typeof exported === 'function' ? exported(toolkit) : exported;
+            const list = Array.isArray(definitions) ? definitions : [definitions];
+            list.forEach(tool => checkTool(tool, source));
+            list.forEach(tool => registry.register(tool, source));
+            return list.map(tool => tool.name);
+        },
+
+        get(name) {
+            return tools.get(name);
+        },
+
+        list() {
+            return [...tools.values()];
+        },
+
+        get size() {
+            return tools.size;
+        }
+    };
+
+    return registry;
+}
+
+// Error raised when tool arguments do not match the tool's inputSchema
+class ArgumentError extends Error {
+    constructor(toolName, problems) {
+        super(`Invalid arguments for ${toolName}: ${problems.join('; ')}`);
+        this.name = 'ArgumentError';
+        this.problems = problems;
+    }
+}
+
+// Helper function to describe a value in a validation message
+function describeValue(value) {
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    return typeof value === 'string' ? `"${value}"` : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+// Helper function to check whether a value has a JSON Schema type
+function hasType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'null': return value === null;
+        default: return true;
+    }
+}
+
+// Helper function to convert a value to one of the allowed types when that is lossless:
+// numeric strings to numbers, "true"/"false" to booleans, numbers to strings
+function coerceValue(value, types) {
+    if (typeof value === 'string') {
+        const text = value.trim();
+        if ((types.includes('number') || types.includes('integer')) && /^-?\d+(\.\d+)?$/.test(text)) {
+            const number = Number(text);
+            if (types.includes('number') || Number.isInteger(number)) return number;
+        }
+        if (types.includes('boolean') && ['true', 'false'].includes(text.toLowerCase())) return text.toLowerCase() === 'true';
+    }
+    if (typeof value === 'number' && types.includes('string')) return String(value);
+    return value;
+}
+
+// Helper function to validate one value against a schema, collecting problems; returns the
+// (possibly coerced) value
+function checkValue(value, schema, path, problems) {
+    let checked = value;
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => hasType(checked, type))) checked = coerceValue(checked, types);
+        if (!types.some(type => hasType(checked, type))) {
+            problems.push(`${path} must be ${types.map(type => /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`).join(' or ')}, got ${describeValue(value)}`);
+            return value;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(checked)) {
+        problems.push(`${path} must be one of ${schema.enum.join(', ')}, got ${describeValue(value)}`);
+    }
+    if (Array.isArray(checked) && schema.items) {
+        checked = checked.map((item, index) => checkValue(item, schema.items, `${path}[${index}]`, problems));
+    } else if (hasType(checked, 'object') && (schema.properties || schema.required)) {
+        checked = checkObject(checked, schema, `${path}.`, problems);
+    }
+    return checked;
+}
+
+// Helper function to validate the properties of an object; optional properties given as null
+// are treated as omitted
+function checkObject(object, schema, prefix, problems) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const checked = {};
+    for (const [key, value] of Object.entries(object)) {
+        if (value === null && !required.includes(key)) continue;
+        checked[key] = properties[key] ? checkValue(value, properties[key], `${prefix}${key}`, problems) : value;
+    }
+    required.filter(key => checked[key] === undefined).forEach(key => problems.push(`${prefix}${key} is required`));
+    return checked;
+}
+
+// Validate tool arguments against the tool's inputSchema and return them with safe type
+// conversions applied ("42" becomes 42 for a number). Unknown arguments are passed through.
+// Throws an ArgumentError listing every problem.
+function validateArguments(tool, args) {
+    if (!hasType(args, 'object')) throw new ArgumentError(tool.name, [`arguments must be an object, got ${describeValue(args)}`]);
+
+    const problems = [];
+    const checked = checkObject(args, tool.inputSchema, '', problems);
+    if (problems.length > 0) throw new ArgumentError(tool.name, problems);
+    return checked;
+}
+
+// Helper function to describe a tool for tools/list, without the handler and bookkeeping fields
+function describeTool(tool) {
+    const { handler, source, ...description } = tool;
+    return description;
+}
+
+// Helper function to turn an error into a failed tool result. Classified errors (like Kanboard
+// failures) add their kind and whether retrying may help; name lookups add their candidates.
+function errorResult(error) {
+    const result = { success: false, error: error.message };
+    if (error.kind) {
+        result.error_type = error.kind;
+        result.retryable = Boolean(error.retryable);
+    }
+    if (error.candidates && error.candidates.length) result.candidates = error.candidates;
+    return result;
+}
+
+// Run a tool and return its result and optional content items. Errors thrown by the handler
+// become a failed result so the assistant sees the reason.
+async function runTool(tool, args, toolkit) {
+    try {
+        const result = await tool.handler(args, toolkit);
+        return { result, content: result ? result[CONTENT] : undefined };
+    } catch (error) {
+        return { result: errorResult(error) };
+    }
+}
+
+// Render a tool result as the text content of the response. Failed and dry-run results have no
+// tool-specific view and use the generic Markdown rendering.
+function renderToolResult(tool, result, format, args = {}) {
+    if (format !== 'markdown') return JSON.stringify(result, null, 2);
+    if (tool.markdown && result.success !== false && !result.dry_run) return tool.markdown(result, args);
+    return renderMarkdown(result);
+}
+
+// Load the tool plugins (*.js files) of a directory in alphabetical order. A broken plugin is
+// reported and skipped so it cannot take the server down.
+function loadToolPlugins(registry, directory, toolkit) {
+    const loaded = [];
+    let files;
+    try {
+        files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+    } catch (error) {
+        console.error(`[Kanboard MCP] Cannot read tool plugin directory ${directory}: ${error.message}`);
+        return loaded;
+    }
+
+    for (const file of files) {
+        const pluginPath = path.resolve(directory, file);
+        try {
+            const names = registry.registerModule(require(pluginPath), toolkit, `plugin ${file}`);
+            loaded.push({ file, tools: names });
+        } catch (error) {
+            console.error(`[Kanboard MCP] Skipping tool plugin ${file}: ${error.message}`);
+        }
+    }
+    return loaded;
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    ArgumentError,
+    createToolRegistry,
+    describeTool,
+    errorResult,
+    runTool,
+    validateArguments,
+    renderToolResult,
+    resultSchema,
+    loadToolPlugins,
+    withContent
+};
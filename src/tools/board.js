@@ -0,0 +1,166 @@
+// Board tool: the swimlanes, columns and tasks of a project in one view
+module.exports = function boardTools({ callKanboard, formatDate, getPriorityColor, getTagsForTasks, hasAllTags, getCategoryNames, getCategoryName, matchesCategory, taskUrl, renderBoardMarkdown, resultSchema }) {
+    return [
+        {
+            name: 'get_board',
+            description: 'Get board view of a project with its swimlanes, columns and tasks',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    swimlane_id: {
+                        type: ['number', 'string'],
+                        description: 'Only return this swimlane, by ID or name (optional)'
+                    },
+                    tags: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Only return tasks carrying all of these tags'
+                    },
+                    category_id: {
+                        type: ['number', 'string'],
+                        description: 'Only return tasks in this category ID or name (0 = no category)'
+                    }
+                },
+                required: ['project_id']
+            },
+            outputSchema: resultSchema({
+                project_id: { type: ['number', 'string'] },
+                swimlanes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: ['number', 'string'] },
+                            name: { type: 'string' },
+                            columns: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        id: { type: ['number', 'string'] },
+                                        title: { type: 'string' },
+                                        task_limit: { type: ['number', 'string'] },
+                                        tasks: {
+                                            type: 'array',
+                                            items: {
+                                                type: 'object',
+                                                properties: {
+                                                    id: { type: ['number', 'string'] },
+                                                    title: { type: 'string' },
+                                                    description: { type: 'string' },
+                                                    priority: { type: 'string' },
+                                                    owner: { type: 'string' },
+                                                    due_date: { type: 'string' },
+                                                    category: { type: 'string' },
+                                                    tags: { type: 'array', items: { type: 'string' } },
+                                                    url: { type: 'string' }
+                                                }
+                                            }
+                                        },
+                                        task_count: { type: 'number' }
+                                    }
+                                }
+                            },
+                            task_count: { type: 'number' }
+                        }
+                    }
+                },
+                columns: {
+                    type: 'array',
+                    description: 'Task counts per column across all swimlanes, against the WIP limits',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: ['number', 'string'] },
+                            title: { type: 'string' },
+                            task_limit: { type: 'number' },
+                            task_count: { type: 'number' },
+                            over_limit: { type: 'boolean' }
+                        }
+                    }
+                },
+                total_tasks: { type: 'number' }
+            }),
+            markdown: renderBoardMarkdown,
+            async handler(args) {
+                // getBoard returns swimlanes, each holding the project's columns and their tasks
+                const [board, categoryNames] = await Promise.all([
+                    callKanboard('getBoard', {
+                        project_id: args.project_id
+                    }),
+                    getCategoryNames([args.project_id])
+                ]);
+
+                const boardTaskIds = board.flatMap(swimlane =>
+                    swimlane.columns.flatMap(column => column.tasks.map(task => task.id)));
+                const tagsByTask = await getTagsForTasks(boardTaskIds);
+                const swimlanes = board
+                    .filter(swimlane => !args.swimlane_id || parseInt(swimlane.id) === parseInt(args.swimlane_id))
+                    .map(swimlane => ({
+                        ...swimlane,
+                        columns: swimlane.columns.map(column => ({
+                            ...column,
+                            tasks: column.tasks.filter(task => hasAllTags(tagsByTask[task.id], args.tags) && matchesCategory(task, args.category_id))
+                        }))
+                    }));
+
+                // Column task limits apply across all swimlanes, regardless of the filters above
+                const columnTotals = {};
+                board.forEach(swimlane => swimlane.columns.forEach(column => {
+                    if (!columnTotals[column.id]) {
+                        columnTotals[column.id] = {
+                            id: column.id,
+                            title: column.title,
+                            task_limit: parseInt(column.task_limit) || 0,
+                            task_count: 0
+                        };
+                    }
+                    columnTotals[column.id].task_count += column.tasks.length;
+                }));
+
+                return {
+                    success: true,
+                    project_id: args.project_id,
+                    swimlanes: swimlanes.map(swimlane => ({
+                        id: swimlane.id,
+                        name: swimlane.name,
+                        position: swimlane.position,
+                        columns: swimlane.columns.map(column => ({
+                            id: column.id,
+                            title: column.title,
+                            position: column.position,
+                            task_limit: column.task_limit,
+                            tasks: column.tasks.map(task => ({
+                                id: task.id,
+                                title: task.title,
+                                description: (task.description || '').length > 100 ? `${task.description.substring(0, 100)}...` : task.description || '',
+                                priority: getPriorityColor(task.priority),
+                                owner: task.assignee_name || 'Unassigned',
+                                created: formatDate(task.date_creation),
+                                due_date: formatDate(task.date_due),
+                                color: task.color_id,
+                                category: getCategoryName(categoryNames, task.category_id),
+                                tags: tagsByTask[task.id],
+                                position: task.position,
+                                url: taskUrl(task.id, args.project_id)
+                            })),
+                            task_count: column.tasks.length
+                        })),
+                        task_count: swimlane.columns.reduce((sum, col) => sum + col.tasks.length, 0)
+                    })),
+                    columns: Object.values(columnTotals).map(column => ({
+                        ...column,
+                        over_limit: column.task_limit > 0 && column.task_count > column.task_limit
+                    })),
+                    total_tasks: swimlanes.reduce((sum, swimlane) =>
+                        sum + swimlane.columns.reduce((colSum, col) => colSum + col.tasks.length, 0), 0)
+                };
+            }
+        }
+    ];
+};
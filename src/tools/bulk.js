@@ -0,0 +1,276 @@
+// Bulk tool: one action applied to many tasks at once, with a preview mode
+
+// Actions supported by bulk_update_tasks, and the most tasks one call may touch
+const BULK_ACTIONS = ['move', 'assign', 'set_priority', 'add_tag', 'close', 'comment'];
+const MAX_BULK_TASKS = 200;
+const BULK_CONCURRENCY = parseInt(process.env.MCP_BULK_CONCURRENCY) || 5;
+
+// Helper function to run an async worker over items with at most `limit` calls in flight,
+// keeping results in input order
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+module.exports = function bulkTools({ kanboardRequest, kanboardBatch, callKanboard, getCurrentUser, getPolicy, assertProjectAllowed, validateSearchQuery, parseNumberInput, resultSchema }) {
+    // Helper function to check the arguments an action of bulk_update_tasks needs
+    function validateBulkAction(args) {
+        if (!BULK_ACTIONS.includes(args.action)) {
+            throw new Error(`Invalid action "${args.action}": expected one of ${BULK_ACTIONS.join(', ')}`);
+        }
+        const required = { move: 'column_id', assign: 'owner_id', set_priority: 'priority', add_tag: 'tag', comment: 'comment' }[args.action];
+        if (required && (args[required] === undefined || args[required] === '')) {
+            throw new Error(`Missing ${required}: required for the ${args.action} action`);
+        }
+        if (args.action === 'set_priority') parseNumberInput(args.priority, 'priority', { integer: true, max: 3 });
+    }
+
+    return [
+        {
+            name: 'bulk_update_tasks',
+            description: 'Apply one action (move, assign, set_priority, add_tag, close, comment) to many tasks selected by ID or search query. ' +
+                'Use preview: true first to see what would change',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_ids: {
+                        type: 'array',
+                        items: { type: 'number' },
+                        description: 'Task IDs to update'
+                    },
+                    query: {
+                        type: 'string',
+                        description: 'Kanboard search query selecting the tasks of project_id instead of task_ids, e.g. "status:open assignee:nobody" (see search_tasks)'
+                    },
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name: required with query, and needed to give column or swimlane names'
+                    },
+                    action: {
+                        type: 'string',
+                        enum: BULK_ACTIONS,
+                        description: 'Action to apply to every task'
+                    },
+                    column_id: {
+                        type: ['number', 'string'],
+                        description: 'move: target column ID or title'
+                    },
+                    swimlane_id: {
+                        type: ['number', 'string'],
+                        description: 'move: target swimlane ID or name (optional, defaults to each task\'s swimlane)'
+                    },
+                    force: {
+                        type: 'boolean',
+                        description: 'move: ignore the target column\'s WIP limit',
+                        default: false
+                    },
+                    owner_id: {
+                        type: ['number', 'string'],
+                        description: 'assign: user ID, username or name (0 = unassign)'
+                    },
+                    priority: {
+                        type: 'number',
+                        description: 'set_priority: priority (0-3)'
+                    },
+                    tag: {
+                        type: 'string',
+                        description: 'add_tag: tag name'
+                    },
+                    comment: {
+                        type: 'string',
+                        description: 'comment: comment text'
+                    },
+                    preview: {
+                        type: 'boolean',
+                        description: 'Only report what would change, without applying it',
+                        default: false
+                    }
+                },
+                required: ['action']
+            },
+            outputSchema: resultSchema({
+                action: { type: 'string', enum: BULK_ACTIONS },
+                preview: { type: 'boolean' },
+                total: { type: 'number' },
+                updated: { type: 'number' },
+                would_update: { type: 'number', description: 'Set instead of updated in preview mode' },
+                skipped: { type: 'number' },
+                failed: { type: 'number' },
+                warnings: { type: 'array', items: { type: 'string' } },
+                results: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            task_id: { type: 'number' },
+                            title: { type: 'string' },
+                            status: { type: 'string', enum: ['updated', 'would_update', 'skipped', 'failed'] },
+                            change: { type: 'string' },
+                            error: { type: 'string' }
+                        }
+                    }
+                }
+            }),
+            async handler(args) {
+                validateBulkAction(args);
+
+                // Select the tasks, by ID or through a Kanboard search
+                let tasks;
+                if (args.query) {
+                    if (!args.project_id) throw new Error('Missing project_id: required to select tasks by query');
+                    tasks = await callKanboard('searchTasks', { project_id: args.project_id, query: validateSearchQuery(args.query) });
+                } else if (Array.isArray(args.task_ids) && args.task_ids.length > 0) {
+                    if (args.task_ids.length > MAX_BULK_TASKS) throw new Error(`Too many tasks: at most ${MAX_BULK_TASKS} per call`);
+                    const taskIds = [...new Set(args.task_ids)];
+                    const taskResponses = await kanboardBatch(taskIds.map(taskId => ({ method: 'getTask', params: { task_id: taskId } })));
+                    tasks = taskResponses.map((taskResponse, index) =>
+                        taskResponse.success && taskResponse.data ? taskResponse.data : { id: taskIds[index], missing: true });
+                } else {
+                    throw new Error('Missing tasks: provide task_ids or query');
+                }
+                if (tasks.length > MAX_BULK_TASKS) {
+                    throw new Error(`The query matches ${tasks.length} tasks, at most ${MAX_BULK_TASKS} per call: narrow it down`);
+                }
+
+                // Column titles per project, for readable previews and WIP checks
+                const projectIds = [...new Set(tasks.filter(task => !task.missing).map(task => parseInt(task.project_id)))];
+                const columnsResponses = await kanboardBatch(projectIds.map(projectId => ({ method: 'getColumns', params: { project_id: projectId } })));
+                const columnsByProject = {};
+                projectIds.forEach((projectId, index) => {
+                    columnsByProject[projectId] = columnsResponses[index].success ? columnsResponses[index].data : [];
+                });
+                const columnTitle = (projectId, columnId) => {
+                    const column = (columnsByProject[projectId] || []).find(candidate => parseInt(candidate.id) === parseInt(columnId));
+                    return column ? column.title : `#${columnId}`;
+                };
+
+                // For moves: append after the tasks already in the target column, and respect its WIP limit
+                const nextPosition = {};
+                const warnings = [];
+                if (args.action === 'move') {
+                    const targets = projectIds
+                        .map(projectId => ({ projectId, column: columnsByProject[projectId].find(candidate => parseInt(candidate.id) === parseInt(args.column_id)) }))
+                        .filter(target => target.column);
+                    const openResponses = await kanboardBatch(targets.map(target => ({ method: 'getAllTasks', params: { project_id: target.projectId, status_id: 1 } })));
+                    targets.forEach(({ projectId, column }, index) => {
+                        const openTasks = openResponses[index].success ? openResponses[index].data : [];
+                        const movingIds = tasks.map(task => parseInt(task.id));
+                        openTasks.filter(task => !movingIds.includes(parseInt(task.id)) && parseInt(task.column_id) === parseInt(column.id))
+                            .forEach(task => {
+                                const key = `${projectId}:${task.swimlane_id}`;
+                                nextPosition[key] = (nextPosition[key] || 0) + 1;
+                            });
+
+                        const taskLimit = parseInt(column.task_limit) || 0;
+                        const incoming = tasks.filter(task => parseInt(task.project_id) === projectId && parseInt(task.column_id) !== parseInt(column.id)).length;
+                        const existing = openTasks.filter(task => parseInt(task.column_id) === parseInt(column.id)).length;
+                        if (taskLimit > 0 && existing + incoming > taskLimit) {
+                            warnings.push(`Column "${column.title}" would hold ${existing + incoming} tasks, over its WIP limit of ${taskLimit}`);
+                        }
+                    });
+                    if (warnings.length > 0 && !args.preview && !args.force) {
+                        throw new Error(`${warnings.join('; ')}. Call again with force: true to move the tasks anyway`);
+                    }
+                }
+
+                const userId = args.action === 'comment' ? parseInt((await getCurrentUser()).id) : null;
+                const policy = getPolicy();
+
+                const results = await runWithConcurrency(tasks, BULK_CONCURRENCY, async task => {
+                    const entry = { task_id: parseInt(task.id), title: task.title };
+                    if (task.missing) return { ...entry, status: 'failed', error: 'Task not found' };
+
+                    try {
+                        const projectId = parseInt(task.project_id);
+                        assertProjectAllowed(projectId, policy);
+
+                        let change;
+                        let skip = false;
+                        let apply;
+                        switch (args.action) {
+                            case 'move': {
+                                const swimlaneId = args.swimlane_id || parseInt(task.swimlane_id);
+                                change = `column ${columnTitle(projectId, task.column_id)} → ${columnTitle(projectId, args.column_id)}`;
+                                skip = parseInt(task.column_id) === parseInt(args.column_id) && parseInt(task.swimlane_id) === parseInt(swimlaneId);
+                                const key = `${projectId}:${swimlaneId}`;
+                                apply = () => {
+                                    nextPosition[key] = (nextPosition[key] || 0) + 1;
+                                    return kanboardRequest('moveTaskPosition', {
+                                        project_id: projectId,
+                                        task_id: task.id,
+                                        column_id: args.column_id,
+                                        swimlane_id: swimlaneId,
+                                        position: nextPosition[key]
+                                    });
+                                };
+                                break;
+                            }
+                            case 'assign':
+                                change = `owner #${parseInt(task.owner_id) || 0} → #${parseInt(args.owner_id) || 0}`;
+                                skip = (parseInt(task.owner_id) || 0) === (parseInt(args.owner_id) || 0);
+                                apply = () => kanboardRequest('updateTask', { id: task.id, owner_id: args.owner_id });
+                                break;
+                            case 'set_priority':
+                                change = `priority ${parseInt(task.priority) || 0} → ${parseInt(args.priority)}`;
+                                skip = (parseInt(task.priority) || 0) === parseInt(args.priority);
+                                apply = () => kanboardRequest('updateTask', { id: task.id, priority: parseInt(args.priority) });
+                                break;
+                            case 'add_tag': {
+                                const tagsResponse = await kanboardRequest('getTaskTags', { task_id: task.id });
+                                const tags = tagsResponse.success && tagsResponse.data ? Object.values(tagsResponse.data) : [];
+                                change = `add tag "${args.tag}"`;
+                                skip = tags.map(tag => tag.toLowerCase()).includes(String(args.tag).toLowerCase());
+                                apply = () => kanboardRequest('setTaskTags', { project_id: projectId, task_id: task.id, tags: [...tags, args.tag] });
+                                break;
+                            }
+                            case 'close':
+                                change = 'close task';
+                                skip = task.is_active !== '1';
+                                apply = () => kanboardRequest('closeTask', { task_id: task.id });
+                                break;
+                            case 'comment':
+                                change = 'add comment';
+                                apply = () => kanboardRequest('createComment', { task_id: task.id, user_id: userId, content: args.comment });
+                                break;
+                        }
+
+                        if (skip) return { ...entry, status: 'skipped', change: `${change} (nothing to change)` };
+                        if (args.preview) return { ...entry, status: 'would_update', change };
+
+                        const response = await apply();
+                        return response.success && response.data
+                            ? { ...entry, status: 'updated', change }
+                            : { ...entry, status: 'failed', change, error: response.error || 'Kanboard rejected the change' };
+                    } catch (error) {
+                        return { ...entry, status: 'failed', error: error.message };
+                    }
+                });
+
+                const count = status => results.filter(entry => entry.status === status).length;
+                return {
+                    success: count('failed') === 0,
+                    action: args.action,
+                    preview: !!args.preview,
+                    total: results.length,
+                    [args.preview ? 'would_update' : 'updated']: count(args.preview ? 'would_update' : 'updated'),
+                    skipped: count('skipped'),
+                    failed: count('failed'),
+                    warnings: warnings.length ? warnings : undefined,
+                    results: results,
+                    message: args.preview
+                        ? 'Preview only, call again without preview to apply these changes'
+                        : `${count('updated')} of ${results.length} task(s) updated`
+                };
+            }
+        }
+    ];
+};
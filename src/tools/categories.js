@@ -0,0 +1,184 @@
+// Category tools: listing, creating, updating and removing project categories
+module.exports = function categoryTools({ callKanboard, TASK_COLORS, resultSchema }) {
+    return [
+        {
+            name: 'get_categories',
+            description: 'Get all categories of a project',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    }
+                },
+                required: ['project_id']
+            },
+            outputSchema: resultSchema({
+                project_id: { type: ['number', 'string'] },
+                categories: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: ['number', 'string'] },
+                            name: { type: 'string' },
+                            color: { type: 'string' },
+                            description: { type: 'string' }
+                        }
+                    }
+                },
+                total: { type: 'number' }
+            }),
+            async handler(args) {
+                const categories = await callKanboard('getAllCategories', {
+                    project_id: args.project_id
+                });
+
+                return {
+                    success: true,
+                    project_id: args.project_id,
+                    categories: categories.map(category => ({
+                        id: category.id,
+                        name: category.name,
+                        color: category.color_id || 'None',
+                        description: category.description || ''
+                    })),
+                    total: categories.length
+                };
+            }
+        },
+        {
+            name: 'create_category',
+            description: 'Create a new category in a project',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    name: {
+                        type: 'string',
+                        description: 'Category name'
+                    },
+                    color_id: {
+                        type: 'string',
+                        enum: TASK_COLORS,
+                        description: 'Category color (optional)'
+                    }
+                },
+                required: ['project_id', 'name']
+            },
+            outputSchema: resultSchema({
+                category_id: { type: ['number', 'string'] },
+                project_id: { type: ['number', 'string'] }
+            }),
+            async handler(args) {
+                const categoryData = {
+                    project_id: args.project_id,
+                    name: args.name
+                };
+                if (args.color_id) categoryData.color_id = args.color_id;
+
+                const categoryId = await callKanboard('createCategory', categoryData, 'Category could not be created (does it already exist?)');
+
+                return {
+                    success: true,
+                    category_id: categoryId,
+                    project_id: args.project_id,
+                    message: `Category "${args.name}" created successfully`
+                };
+            }
+        },
+        {
+            name: 'update_category',
+            description: 'Rename a category or change its color',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name (needed to find the category by name)'
+                    },
+                    category_id: {
+                        type: ['number', 'string'],
+                        description: 'Category ID or name'
+                    },
+                    name: {
+                        type: 'string',
+                        description: 'New category name'
+                    },
+                    color_id: {
+                        type: 'string',
+                        enum: TASK_COLORS,
+                        description: 'New category color'
+                    }
+                },
+                required: ['category_id']
+            },
+            outputSchema: resultSchema({
+                category_id: { type: ['number', 'string'] },
+                name: { type: 'string' }
+            }),
+            async handler(args) {
+                // updateCategory requires the name, keep the current one when only the color changes
+                let name = args.name;
+                if (name === undefined) {
+                    name = (await callKanboard('getCategory', { category_id: args.category_id }, 'Category not found')).name;
+                }
+
+                const categoryData = {
+                    id: args.category_id,
+                    name: name
+                };
+                if (args.color_id) categoryData.color_id = args.color_id;
+
+                await callKanboard('updateCategory', categoryData, 'Category could not be updated');
+
+                return {
+                    success: true,
+                    category_id: args.category_id,
+                    name: name,
+                    message: 'Category updated successfully'
+                };
+            }
+        },
+        {
+            name: 'delete_category',
+            description: 'Remove a category; its tasks become uncategorized',
+            annotations: { readOnlyHint: false, destructiveHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name (needed to find the category by name)'
+                    },
+                    category_id: {
+                        type: ['number', 'string'],
+                        description: 'Category ID or name'
+                    }
+                },
+                required: ['category_id']
+            },
+            outputSchema: resultSchema({
+                category_id: { type: ['number', 'string'] }
+            }),
+            async handler(args) {
+                await callKanboard('removeCategory', {
+                    category_id: args.category_id
+                }, 'Category could not be removed');
+
+                return {
+                    success: true,
+                    category_id: args.category_id,
+                    message: 'Category removed successfully'
+                };
+            }
+        }
+    ];
+};
@@ -0,0 +1,275 @@
+// Column tools: listing, creating, updating, reordering and removing board columns
+module.exports = function columnTools({ kanboardRequest, callKanboard, parseNumberInput, resultSchema }) {
+    return [
+        {
+            name: 'get_columns',
+            description: 'Get all columns for a project',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    }
+                },
+                required: ['project_id']
+            },
+            outputSchema: resultSchema({
+                project_id: { type: ['number', 'string'] },
+                columns: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: ['number', 'string'] },
+                            title: { type: 'string' },
+                            position: { type: ['number', 'string'] },
+                            task_limit: { type: ['number', 'string'] },
+                            hide_in_dashboard: { type: 'boolean' },
+                            description: { type: 'string' }
+                        }
+                    }
+                },
+                total: { type: 'number' }
+            }),
+            async handler(args) {
+                const columns = await callKanboard('getColumns', {
+                    project_id: args.project_id
+                });
+
+                return {
+                    success: true,
+                    project_id: args.project_id,
+                    columns: columns.map(column => ({
+                        id: column.id,
+                        title: column.title,
+                        position: column.position,
+                        task_limit: column.task_limit,
+                        hide_in_dashboard: column.hide_in_dashboard === '1',
+                        description: column.description || 'No description'
+                    })),
+                    total: columns.length
+                };
+            }
+        },
+        {
+            name: 'create_column',
+            description: 'Add a column to a project board',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    title: {
+                        type: 'string',
+                        description: 'Column title'
+                    },
+                    task_limit: {
+                        type: 'number',
+                        description: 'WIP limit, 0 for no limit',
+                        default: 0
+                    },
+                    description: {
+                        type: 'string',
+                        description: 'Column description'
+                    },
+                    hide_in_dashboard: {
+                        type: 'boolean',
+                        description: 'Hide the column\'s tasks in the user dashboard'
+                    }
+                },
+                required: ['project_id', 'title']
+            },
+            outputSchema: resultSchema({
+                column_id: { type: ['number', 'string'] },
+                project_id: { type: ['number', 'string'] }
+            }),
+            async handler(args) {
+                const columnData = {
+                    project_id: args.project_id,
+                    title: args.title,
+                    task_limit: args.task_limit !== undefined ? parseNumberInput(args.task_limit, 'task_limit', { integer: true }) : 0,
+                    description: args.description || ''
+                };
+                // Only sent when set: older Kanboard versions do not accept it
+                if (args.hide_in_dashboard !== undefined) columnData.hide_in_dashboard = args.hide_in_dashboard ? 1 : 0;
+
+                const columnId = await callKanboard('addColumn', columnData, 'Column could not be created');
+
+                return {
+                    success: true,
+                    column_id: columnId,
+                    project_id: args.project_id,
+                    message: `Column "${args.title}" created successfully`
+                };
+            }
+        },
+        {
+            name: 'update_column',
+            description: 'Rename a column or change its WIP limit, description or dashboard visibility',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name (needed to find the column by title)'
+                    },
+                    column_id: {
+                        type: ['number', 'string'],
+                        description: 'Column ID or title'
+                    },
+                    title: {
+                        type: 'string',
+                        description: 'New column title'
+                    },
+                    task_limit: {
+                        type: 'number',
+                        description: 'WIP limit, 0 for no limit'
+                    },
+                    description: {
+                        type: 'string',
+                        description: 'New column description'
+                    },
+                    hide_in_dashboard: {
+                        type: 'boolean',
+                        description: 'Hide the column\'s tasks in the user dashboard'
+                    }
+                },
+                required: ['column_id']
+            },
+            outputSchema: resultSchema({
+                column_id: { type: ['number', 'string'] },
+                title: { type: 'string' },
+                task_limit: { type: 'number' }
+            }),
+            async handler(args) {
+                // updateColumn resets omitted fields, so start from the current values
+                const column = await callKanboard('getColumn', { column_id: args.column_id }, 'Column not found');
+
+                const columnData = {
+                    column_id: args.column_id,
+                    title: args.title !== undefined ? args.title : column.title,
+                    task_limit: args.task_limit !== undefined ? parseNumberInput(args.task_limit, 'task_limit', { integer: true }) : parseInt(column.task_limit) || 0,
+                    description: args.description !== undefined ? args.description : column.description || ''
+                };
+                if (args.hide_in_dashboard !== undefined) columnData.hide_in_dashboard = args.hide_in_dashboard ? 1 : 0;
+
+                await callKanboard('updateColumn', columnData, 'Column could not be updated');
+
+                return {
+                    success: true,
+                    column_id: args.column_id,
+                    title: columnData.title,
+                    task_limit: columnData.task_limit,
+                    message: 'Column updated successfully'
+                };
+            }
+        },
+        {
+            name: 'reorder_column',
+            description: 'Change the position of a column on the board',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    column_id: {
+                        type: ['number', 'string'],
+                        description: 'Column ID or title'
+                    },
+                    position: {
+                        type: 'number',
+                        description: 'New position, starting at 1'
+                    }
+                },
+                required: ['project_id', 'column_id', 'position']
+            },
+            outputSchema: resultSchema({
+                column_id: { type: ['number', 'string'] },
+                position: { type: 'number' }
+            }),
+            async handler(args) {
+                await callKanboard('changeColumnPosition', {
+                    project_id: args.project_id,
+                    column_id: args.column_id,
+                    position: parseNumberInput(args.position, 'position', { integer: true, min: 1 })
+                }, 'Column could not be moved');
+
+                return {
+                    success: true,
+                    column_id: args.column_id,
+                    position: args.position,
+                    message: 'Column moved successfully'
+                };
+            }
+        },
+        {
+            name: 'delete_column',
+            description: 'Remove an empty column from a project board. Requires confirm: true',
+            annotations: { readOnlyHint: false, destructiveHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name (needed to find the column by title)'
+                    },
+                    column_id: {
+                        type: ['number', 'string'],
+                        description: 'Column ID or title'
+                    },
+                    confirm: {
+                        type: 'boolean',
+                        description: 'Must be true to remove the column'
+                    }
+                },
+                required: ['column_id']
+            },
+            outputSchema: resultSchema({
+                column_id: { type: ['number', 'string'] }
+            }),
+            async handler(args) {
+                const column = await callKanboard('getColumn', { column_id: args.column_id }, 'Column not found');
+
+                // Kanboard deletes the tasks of a removed column, so only empty columns can go
+                const [openTasks, closedResponse] = await Promise.all([
+                    callKanboard('getAllTasks', { project_id: parseInt(column.project_id), status_id: 1 }),
+                    kanboardRequest('getAllTasks', { project_id: parseInt(column.project_id), status_id: 0 })
+                ]);
+                const taskCount = [...openTasks, ...(closedResponse.success ? closedResponse.data : [])]
+                    .filter(task => parseInt(task.column_id) === parseInt(column.id)).length;
+
+                if (taskCount > 0) {
+                    return {
+                        success: false,
+                        error: `Column "${column.title}" still contains ${taskCount} task(s), move them to another column first`
+                    };
+                }
+                if (args.confirm !== true) {
+                    return {
+                        success: false,
+                        error: `Call delete_column again with confirm: true to remove column "${column.title}"`
+                    };
+                }
+
+                await callKanboard('removeColumn', {
+                    column_id: args.column_id
+                }, 'Column could not be removed');
+
+                return {
+                    success: true,
+                    column_id: args.column_id,
+                    message: `Column "${column.title}" removed successfully`
+                };
+            }
+        }
+    ];
+};
@@ -0,0 +1,92 @@
+// Comment tools: adding and listing task comments
+module.exports = function commentTools({ callKanboard, getCurrentUser, formatDate, resultSchema }) {
+    return [
+        {
+            name: 'add_comment',
+            description: 'Add a comment to a task as the authenticated user',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    comment: {
+                        type: 'string',
+                        description: 'Comment text'
+                    }
+                },
+                required: ['task_id', 'comment']
+            },
+            outputSchema: resultSchema({
+                comment_id: { type: ['number', 'string'] },
+                task_id: { type: ['number', 'string'] }
+            }),
+            async handler(args) {
+                const commentId = await callKanboard('createComment', {
+                    task_id: args.task_id,
+                    user_id: parseInt((await getCurrentUser()).id),
+                    content: args.comment
+                });
+
+                return {
+                    success: true,
+                    comment_id: commentId,
+                    task_id: args.task_id,
+                    message: 'Comment added successfully'
+                };
+            }
+        },
+        {
+            name: 'get_task_comments',
+            description: 'Get all comments for a task',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    }
+                },
+                required: ['task_id']
+            },
+            outputSchema: resultSchema({
+                task_id: { type: ['number', 'string'] },
+                comments: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: ['number', 'string'] },
+                            comment: { type: 'string' },
+                            author: { type: ['string', 'null'] },
+                            created: { type: 'string' },
+                            updated: { type: 'string' }
+                        }
+                    }
+                },
+                total: { type: 'number' }
+            }),
+            async handler(args) {
+                const comments = await callKanboard('getAllComments', {
+                    task_id: args.task_id
+                });
+
+                return {
+                    success: true,
+                    task_id: args.task_id,
+                    comments: comments.map(comment => ({
+                        id: comment.id,
+                        comment: comment.comment,
+                        author: comment.username,
+                        created: formatDate(comment.date_creation),
+                        updated: formatDate(comment.date_modification)
+                    })),
+                    total: comments.length
+                };
+            }
+        }
+    ];
+};
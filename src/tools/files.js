@@ -0,0 +1,276 @@
+// File tools: listing, uploading, downloading and removing task attachments
+
+// Largest file returned inline by download_task_file; bigger files only get a download link
+const MAX_INLINE_FILE_BYTES = parseInt(process.env.MCP_MAX_INLINE_FILE_BYTES) || 5 * 1024 * 1024;
+
+const FILE_MIME_TYPES = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+    bmp: 'image/bmp', svg: 'image/svg+xml', pdf: 'application/pdf', zip: 'application/zip',
+    txt: 'text/plain', log: 'text/plain', md: 'text/markdown', csv: 'text/csv', html: 'text/html',
+    css: 'text/css', js: 'text/javascript', ts: 'text/plain', py: 'text/x-python', sh: 'text/x-sh',
+    json: 'application/json', xml: 'application/xml', yaml: 'application/yaml', yml: 'application/yaml',
+    ini: 'text/plain', conf: 'text/plain', sql: 'application/sql', diff: 'text/x-diff', patch: 'text/x-diff'
+};
+
+// Helper function to guess the MIME type of a file from its name
+function getMimeType(filename) {
+    const extension = String(filename).split('.').pop().toLowerCase();
+    return FILE_MIME_TYPES[extension] || 'application/octet-stream';
+}
+
+// Helper function to check whether a MIME type holds text
+function isTextMimeType(mimeType) {
+    return mimeType.startsWith('text/') ||
+        ['application/json', 'application/xml', 'application/yaml', 'application/sql', 'image/svg+xml'].includes(mimeType);
+}
+
+// Helper function to decode base64 file content, accepting plain base64 or a data: URL
+function decodeBase64Input(value, field) {
+    const data = String(value).replace(/^data:[^;,]*;base64,/, '').replace(/\s/g, '');
+    if (data === '' || !/^[A-Za-z0-9+/]*={0,2}$/.test(data) || data.length % 4 === 1) {
+        throw new Error(`Invalid ${field}: expected base64-encoded content`);
+    }
+    return Buffer.from(data, 'base64');
+}
+
+// Helper function to turn the upload arguments (base64, text or an MCP embedded resource) into file bytes
+function getUploadContent(args) {
+    if (args.content_base64 !== undefined) return decodeBase64Input(args.content_base64, 'content_base64');
+    if (args.text !== undefined) return Buffer.from(String(args.text), 'utf8');
+    if (args.resource) {
+        const resource = args.resource.resource || args.resource;
+        if (resource.blob !== undefined) return decodeBase64Input(resource.blob, 'resource.blob');
+        if (resource.text !== undefined) return Buffer.from(String(resource.text), 'utf8');
+        throw new Error('Invalid resource: expected an embedded resource with "text" or "blob"');
+    }
+    throw new Error('Missing file content: provide content_base64, text or resource');
+}
+
+// Helper function to format a file size for output
+function formatFileSize(bytes) {
+    const size = parseInt(bytes) || 0;
+    if (size < 1024) return `${size} B`;
+    if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+    return `${(size / 1024 / 1024).toFixed(1)} MB`;
+}
+
+module.exports = function fileTools({ callKanboard, formatDate, fileUrl, withContent, resultSchema }) {
+    return [
+        {
+            name: 'get_task_files',
+            description: 'List the files attached to a task',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    }
+                },
+                required: ['task_id']
+            },
+            outputSchema: resultSchema({
+                task_id: { type: ['number', 'string'] },
+                files: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: ['number', 'string'] },
+                            name: { type: 'string' },
+                            size: { type: 'string' },
+                            mime_type: { type: 'string' },
+                            is_image: { type: 'boolean' },
+                            uploaded_by: { type: ['number', 'string', 'null'] },
+                            uploaded: { type: 'string' },
+                            url: { type: 'string' }
+                        }
+                    }
+                },
+                total: { type: 'number' }
+            }),
+            async handler(args) {
+                const files = await callKanboard('getAllTaskFiles', {
+                    task_id: args.task_id
+                });
+
+                return {
+                    success: true,
+                    task_id: args.task_id,
+                    files: files.map(file => ({
+                        id: file.id,
+                        name: file.name,
+                        size: formatFileSize(file.size),
+                        mime_type: getMimeType(file.name),
+                        is_image: file.is_image === '1',
+                        uploaded_by: file.user_name || file.username || file.user_id,
+                        uploaded: formatDate(file.date),
+                        url: fileUrl(args.task_id, file.id)
+                    })),
+                    total: files.length
+                };
+            }
+        },
+        {
+            name: 'upload_task_file',
+            description: 'Attach a file to a task, from base64 content, plain text or an MCP embedded resource',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name (optional, defaults to the task\'s project)'
+                    },
+                    filename: {
+                        type: 'string',
+                        description: 'File name including extension (optional when the resource URI has one)'
+                    },
+                    content_base64: {
+                        type: 'string',
+                        description: 'File content as base64 or a data: URL'
+                    },
+                    text: {
+                        type: 'string',
+                        description: 'File content as plain text (e.g. a log excerpt)'
+                    },
+                    resource: {
+                        type: 'object',
+                        description: 'MCP embedded resource with uri, mimeType and text or blob (base64)',
+                        properties: {
+                            uri: { type: 'string' },
+                            mimeType: { type: 'string' },
+                            text: { type: 'string' },
+                            blob: { type: 'string' }
+                        }
+                    }
+                },
+                required: ['task_id']
+            },
+            outputSchema: resultSchema({
+                file_id: { type: ['number', 'string'] },
+                task_id: { type: ['number', 'string'] },
+                filename: { type: 'string' },
+                size: { type: 'string' }
+            }),
+            async handler(args) {
+                const resource = args.resource ? (args.resource.resource || args.resource) : null;
+                const filename = args.filename || (resource && resource.uri ? decodeURIComponent(String(resource.uri).split(/[/?#]/).filter(Boolean).pop() || '') : '');
+                if (!filename || !filename.includes('.')) {
+                    throw new Error('Missing filename: provide a file name with an extension, e.g. "screenshot.png"');
+                }
+
+                const fileContent = getUploadContent(args);
+                let projectId = args.project_id;
+                if (!projectId) {
+                    const task = await callKanboard('getTask', { task_id: args.task_id }, 'Task not found');
+                    projectId = parseInt(task.project_id);
+                }
+
+                const fileId = await callKanboard('createTaskFile', {
+                    project_id: projectId,
+                    task_id: args.task_id,
+                    filename: filename,
+                    blob: fileContent.toString('base64')
+                }, 'File could not be uploaded');
+
+                return {
+                    success: true,
+                    file_id: fileId,
+                    task_id: args.task_id,
+                    filename: filename,
+                    size: formatFileSize(fileContent.length),
+                    message: `File "${filename}" attached successfully`
+                };
+            }
+        },
+        {
+            name: 'download_task_file',
+            description: 'Download a task file: images come back as image content, text files as text',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    file_id: {
+                        type: 'number',
+                        description: 'File ID'
+                    }
+                },
+                required: ['file_id']
+            },
+            outputSchema: resultSchema({
+                file_id: { type: ['number', 'string'] },
+                task_id: { type: ['number', 'string'] },
+                name: { type: 'string' },
+                size: { type: 'string' },
+                mime_type: { type: 'string' },
+                url: { type: 'string' }
+            }),
+            async handler(args) {
+                const file = await callKanboard('getTaskFile', { file_id: args.file_id }, 'File not found');
+                const mimeType = getMimeType(file.name);
+                const metadata = {
+                    success: true,
+                    file_id: file.id,
+                    task_id: file.task_id,
+                    name: file.name,
+                    size: formatFileSize(file.size),
+                    mime_type: mimeType,
+                    url: fileUrl(file.task_id, file.id)
+                };
+
+                if (parseInt(file.size) > MAX_INLINE_FILE_BYTES) {
+                    return { ...metadata, message: `File is larger than ${formatFileSize(MAX_INLINE_FILE_BYTES)}, download it from the URL` };
+                }
+
+                const data = await callKanboard('downloadTaskFile', { file_id: args.file_id }, 'File could not be downloaded');
+                const metadataItem = { type: 'text', text: JSON.stringify(metadata, null, 2) };
+
+                if (mimeType.startsWith('image/') && mimeType !== 'image/svg+xml') {
+                    return withContent(metadata, [metadataItem, { type: 'image', data: data, mimeType: mimeType }]);
+                }
+                if (isTextMimeType(mimeType)) {
+                    return withContent(metadata, [metadataItem, { type: 'text', text: Buffer.from(data, 'base64').toString('utf8') }]);
+                }
+                return withContent(metadata, [
+                    metadataItem,
+                    { type: 'resource', resource: { uri: metadata.url, mimeType: mimeType, blob: data } }
+                ]);
+            }
+        },
+        {
+            name: 'delete_task_file',
+            description: 'Remove a file from a task',
+            annotations: { readOnlyHint: false, destructiveHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    file_id: {
+                        type: 'number',
+                        description: 'File ID'
+                    }
+                },
+                required: ['file_id']
+            },
+            outputSchema: resultSchema({
+                file_id: { type: ['number', 'string'] }
+            }),
+            async handler(args) {
+                await callKanboard('removeTaskFile', {
+                    file_id: args.file_id
+                }, 'File could not be removed');
+
+                return {
+                    success: true,
+                    file_id: args.file_id,
+                    message: 'File removed successfully'
+                };
+            }
+        }
+    ];
+};
@@ -0,0 +1,19 @@
+// Built-in tool modules, in the order their tools are listed by tools/list
+module.exports = [
+    require('./projects'),
+    require('./members'),
+    require('./board'),
+    require('./tasks'),
+    require('./columns'),
+    require('./users'),
+    require('./metrics'),
+    require('./comments'),
+    require('./subtasks'),
+    require('./time-tracking'),
+    require('./categories'),
+    require('./tags'),
+    require('./swimlanes'),
+    require('./links'),
+    require('./files'),
+    require('./bulk')
+];
@@ -0,0 +1,218 @@
+// Link tools: dependencies between tasks and external links (pull requests, documents, tickets)
+module.exports = function linkTools({ callKanboard, getTaskLinks, resultSchema, taskLinksProperties }) {
+    const externalLinkSchema = resultSchema({
+        link_id: { type: ['number', 'string'] }
+    });
+
+    return [
+        {
+            name: 'get_link_types',
+            description: 'List the available task link types (blocks, duplicates, relates to...)',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {}
+            },
+            outputSchema: resultSchema({
+                link_types: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: ['number', 'string'] },
+                            label: { type: 'string' },
+                            opposite_id: { type: ['number', 'string'] }
+                        }
+                    }
+                }
+            }),
+            async handler() {
+                const links = await callKanboard('getAllLinks', {});
+
+                return {
+                    success: true,
+                    link_types: links.map(link => ({
+                        id: link.id,
+                        label: link.label,
+                        opposite_id: link.opposite_id
+                    }))
+                };
+            }
+        },
+        {
+            name: 'get_task_links',
+            description: 'Get the internal and external links of a task with a dependency summary',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    }
+                },
+                required: ['task_id']
+            },
+            outputSchema: resultSchema({
+                task_id: { type: ['number', 'string'] },
+                ...taskLinksProperties
+            }),
+            async handler(args) {
+                return {
+                    success: true,
+                    task_id: args.task_id,
+                    ...await getTaskLinks(args.task_id)
+                };
+            }
+        },
+        {
+            name: 'create_task_link',
+            description: 'Link two tasks, e.g. task_id "blocks" opposite_task_id',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    opposite_task_id: {
+                        type: 'number',
+                        description: 'ID of the task to link to'
+                    },
+                    link_id: {
+                        type: ['number', 'string'],
+                        description: 'Link type ID or label (e.g. "blocks", "is blocked by", "duplicates", "relates to")'
+                    }
+                },
+                required: ['task_id', 'opposite_task_id', 'link_id']
+            },
+            outputSchema: resultSchema({
+                task_link_id: { type: ['number', 'string'] }
+            }),
+            async handler(args) {
+                const taskLinkId = await callKanboard('createTaskLink', {
+                    task_id: args.task_id,
+                    opposite_task_id: args.opposite_task_id,
+                    link_id: args.link_id
+                }, 'Task link could not be created');
+
+                return {
+                    success: true,
+                    task_link_id: taskLinkId,
+                    message: `Task #${args.task_id} linked to task #${args.opposite_task_id} successfully`
+                };
+            }
+        },
+        {
+            name: 'delete_task_link',
+            description: 'Remove a link between two tasks',
+            annotations: { readOnlyHint: false, destructiveHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_link_id: {
+                        type: 'number',
+                        description: 'Task link ID (from get_task_links)'
+                    }
+                },
+                required: ['task_link_id']
+            },
+            outputSchema: resultSchema({
+                task_link_id: { type: ['number', 'string'] }
+            }),
+            async handler(args) {
+                await callKanboard('removeTaskLink', {
+                    task_link_id: args.task_link_id
+                }, 'Task link could not be removed');
+
+                return {
+                    success: true,
+                    task_link_id: args.task_link_id,
+                    message: 'Task link removed successfully'
+                };
+            }
+        },
+        {
+            name: 'create_external_link',
+            description: 'Attach an external URL (pull request, document, ticket) to a task',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    url: {
+                        type: 'string',
+                        description: 'Link URL'
+                    },
+                    title: {
+                        type: 'string',
+                        description: 'Link title (defaults to the URL)'
+                    },
+                    dependency: {
+                        type: 'string',
+                        description: 'Dependency type',
+                        default: 'related'
+                    },
+                    type: {
+                        type: 'string',
+                        description: 'Link provider: auto, weblink or attachment',
+                        default: 'auto'
+                    }
+                },
+                required: ['task_id', 'url']
+            },
+            outputSchema: externalLinkSchema,
+            async handler(args) {
+                const linkId = await callKanboard('createExternalTaskLink', {
+                    task_id: args.task_id,
+                    url: args.url,
+                    dependency: args.dependency || 'related',
+                    type: args.type || 'auto',
+                    title: args.title || args.url
+                }, 'External link could not be created');
+
+                return {
+                    success: true,
+                    link_id: linkId,
+                    message: `External link added to task #${args.task_id} successfully`
+                };
+            }
+        },
+        {
+            name: 'delete_external_link',
+            description: 'Remove an external link from a task',
+            annotations: { readOnlyHint: false, destructiveHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    external_link_id: {
+                        type: 'number',
+                        description: 'External link ID (from get_task_links)'
+                    }
+                },
+                required: ['task_id', 'external_link_id']
+            },
+            outputSchema: externalLinkSchema,
+            async handler(args) {
+                await callKanboard('removeExternalTaskLink', {
+                    task_id: args.task_id,
+                    link_id: args.external_link_id
+                }, 'External link could not be removed');
+
+                return {
+                    success: true,
+                    link_id: args.external_link_id,
+                    message: 'External link removed successfully'
+                };
+            }
+        }
+    ];
+};
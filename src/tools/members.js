@@ -0,0 +1,245 @@
+// Project membership tools: listing members, adding and removing users or groups, changing roles
+
+// Project roles accepted by Kanboard for users and groups
+const PROJECT_ROLES = ['project-manager', 'project-member', 'project-viewer'];
+
+// Helper function to get the member (user or group) targeted by a membership tool
+function getProjectMember(args) {
+    if (args.user_id && args.group_id) throw new Error('Provide either user_id or group_id, not both');
+    if (args.group_id) return { kind: 'group', field: 'group_id', id: args.group_id, label: `group #${args.group_id}` };
+    if (args.user_id) return { kind: 'user', field: 'user_id', id: args.user_id, label: `user #${args.user_id}` };
+    throw new Error('Missing member: provide user_id or group_id');
+}
+
+// Helper function to get the project IDs targeted by a membership tool
+function getTargetProjects(args) {
+    const projectIds = [...(args.project_ids || []), ...(args.project_id ? [args.project_id] : [])];
+    if (projectIds.length === 0) throw new Error('Missing project: provide project_id or project_ids');
+    return [...new Set(projectIds)];
+}
+
+module.exports = function memberTools({ kanboardBatch, callKanboard, resultSchema }) {
+    // Helper function to build the handler of add_project_member / remove_project_member
+    function changeMembership(adding) {
+        return async args => {
+            const member = getProjectMember(args);
+            const projectIds = getTargetProjects(args);
+            const role = args.role || 'project-member';
+            if (adding && !PROJECT_ROLES.includes(role)) {
+                throw new Error(`Invalid role "${role}": expected one of ${PROJECT_ROLES.join(', ')}`);
+            }
+
+            const method = member.kind === 'group'
+                ? (adding ? 'addProjectGroup' : 'removeProjectGroup')
+                : (adding ? 'addProjectUser' : 'removeProjectUser');
+            const responses = await kanboardBatch(projectIds.map(projectId => {
+                const params = { project_id: projectId, [member.field]: member.id };
+                if (adding) params.role = role;
+                return { method, params };
+            }));
+            const projects = responses.map((response, index) => (response.success && response.data
+                ? { project_id: projectIds[index], success: true }
+                : { project_id: projectIds[index], success: false, error: response.error || (adding ? 'Member could not be added (already a member?)' : 'Member could not be removed') }));
+
+            const succeeded = projects.filter(project => project.success).length;
+            return {
+                success: succeeded === projects.length,
+                [member.field]: member.id,
+                role: adding ? role : undefined,
+                projects: projects,
+                message: `${adding ? 'Added' : 'Removed'} ${member.label} ${adding ? 'to' : 'from'} ${succeeded} of ${projects.length} project(s)`
+            };
+        };
+    }
+
+    const membershipSchema = resultSchema({
+        user_id: { type: ['number', 'string'] },
+        group_id: { type: ['number', 'string'] },
+        role: { type: 'string' },
+        projects: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    project_id: { type: ['number', 'string'] },
+                    success: { type: 'boolean' },
+                    error: { type: 'string' }
+                }
+            }
+        }
+    });
+
+    return [
+        {
+            name: 'get_project_members',
+            description: 'List the users of a project with their roles',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    }
+                },
+                required: ['project_id']
+            },
+            outputSchema: resultSchema({
+                project_id: { type: ['number', 'string'] },
+                members: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            user_id: { type: ['number', 'string'] },
+                            username: { type: 'string' },
+                            role: { type: 'string' }
+                        }
+                    }
+                },
+                total: { type: 'number' }
+            }),
+            async handler(args) {
+                const users = await callKanboard('getProjectUsers', {
+                    project_id: args.project_id
+                });
+
+                const entries = Object.entries(users || {});
+                const roleResponses = await kanboardBatch(entries.map(([userId]) => ({
+                    method: 'getProjectUserRole',
+                    params: { project_id: args.project_id, user_id: parseInt(userId) }
+                })));
+                const members = entries.map(([userId, username], index) => ({
+                    user_id: userId,
+                    username: username,
+                    role: roleResponses[index].success && roleResponses[index].data ? roleResponses[index].data : 'Unknown'
+                }));
+
+                return {
+                    success: true,
+                    project_id: args.project_id,
+                    members: members,
+                    total: members.length
+                };
+            }
+        },
+        {
+            name: 'add_project_member',
+            description: 'Add a user or a group to one or more projects with a role, e.g. to onboard a new teammate',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    project_ids: {
+                        type: 'array',
+                        items: { type: ['number', 'string'] },
+                        description: 'Several project IDs or names, instead of project_id'
+                    },
+                    user_id: {
+                        type: ['number', 'string'],
+                        description: 'User ID, username or name'
+                    },
+                    group_id: {
+                        type: ['number', 'string'],
+                        description: 'Group ID or name, instead of user_id'
+                    },
+                    role: {
+                        type: 'string',
+                        enum: PROJECT_ROLES,
+                        description: 'Project role',
+                        default: 'project-member'
+                    }
+                }
+            },
+            outputSchema: membershipSchema,
+            handler: changeMembership(true)
+        },
+        {
+            name: 'change_project_member_role',
+            description: 'Change the role of a project user or group',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    user_id: {
+                        type: ['number', 'string'],
+                        description: 'User ID, username or name'
+                    },
+                    group_id: {
+                        type: ['number', 'string'],
+                        description: 'Group ID or name, instead of user_id'
+                    },
+                    role: {
+                        type: 'string',
+                        enum: PROJECT_ROLES,
+                        description: 'New project role'
+                    }
+                },
+                required: ['project_id', 'role']
+            },
+            outputSchema: resultSchema({
+                project_id: { type: ['number', 'string'] },
+                user_id: { type: ['number', 'string'] },
+                group_id: { type: ['number', 'string'] },
+                role: { type: 'string' }
+            }),
+            async handler(args) {
+                const member = getProjectMember(args);
+                if (!PROJECT_ROLES.includes(args.role)) {
+                    throw new Error(`Invalid role "${args.role}": expected one of ${PROJECT_ROLES.join(', ')}`);
+                }
+
+                await callKanboard(member.kind === 'group' ? 'changeProjectGroupRole' : 'changeProjectUserRole', {
+                    project_id: args.project_id,
+                    [member.field]: member.id,
+                    role: args.role
+                }, 'Role could not be changed');
+
+                return {
+                    success: true,
+                    project_id: args.project_id,
+                    [member.field]: member.id,
+                    role: args.role,
+                    message: `Role of ${member.label} changed to ${args.role}`
+                };
+            }
+        },
+        {
+            name: 'remove_project_member',
+            description: 'Remove a user or a group from one or more projects',
+            annotations: { readOnlyHint: false, destructiveHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    project_ids: {
+                        type: 'array',
+                        items: { type: ['number', 'string'] },
+                        description: 'Several project IDs or names, instead of project_id'
+                    },
+                    user_id: {
+                        type: ['number', 'string'],
+                        description: 'User ID, username or name'
+                    },
+                    group_id: {
+                        type: ['number', 'string'],
+                        description: 'Group ID or name, instead of user_id'
+                    }
+                }
+            },
+            outputSchema: membershipSchema,
+            handler: changeMembership(false)
+        }
+    ];
+};
@@ -0,0 +1,247 @@
+// Metrics tool: lead time, cycle time, throughput, WIP and cumulative flow of a project
+
+const SECONDS_PER_DAY = 86400;
+
+// Helper function to summarize durations (in seconds) as days
+function summarizeDurations(durations) {
+    if (durations.length === 0) return { count: 0, average_days: null, median_days: null, p85_days: null };
+
+    const sorted = [...durations].sort((a, b) => a - b);
+    const percentile = p => sorted[Math.min(Math.ceil(p * sorted.length) - 1, sorted.length - 1)];
+    const toDays = seconds => Math.round(seconds / SECONDS_PER_DAY * 10) / 10;
+
+    return {
+        count: sorted.length,
+        average_days: toDays(sorted.reduce((total, value) => total + value, 0) / sorted.length),
+        median_days: toDays(percentile(0.5)),
+        p85_days: toDays(percentile(0.85))
+    };
+}
+
+module.exports = function metricsTools({ callKanboard, parseDateInput, toEndOfDay, formatIsoDate, markdownCell, resultSchema }) {
+    // Helper function to get the Monday starting the week of a timestamp, as YYYY-MM-DD
+    function getWeekStart(timestamp) {
+        const date = new Date(timestamp * 1000);
+        date.setHours(0, 0, 0, 0);
+        date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+        return formatIsoDate(date);
+    }
+
+    // Compute flow metrics for a project from task timestamps. Lead time runs from creation to
+    // completion, cycle time from start to completion. Kanboard's API does not expose column
+    // history, so cumulative flow is reported as to do / in progress / done per day.
+    function computeProjectMetrics(tasks, columns, startDate, endDate) {
+        const completed = tasks.filter(task => {
+            const date = parseInt(task.date_completed) || 0;
+            return task.is_active !== '1' && date >= startDate && date <= endDate;
+        });
+
+        const durations = (list, from) => list
+            .filter(task => parseInt(task[from]))
+            .map(task => parseInt(task.date_completed) - parseInt(task[from]))
+            .filter(duration => duration >= 0);
+
+        // One entry per week of the range, stepping a week at a time, including weeks without completions
+        const throughput = {};
+        const lastWeek = getWeekStart(endDate);
+        for (const day = new Date(startDate * 1000); ; day.setDate(day.getDate() + 7)) {
+            const week = getWeekStart(day.getTime() / 1000);
+            throughput[week] = 0;
+            if (week >= lastWeek) break;
+        }
+        completed.forEach(task => {
+            const week = getWeekStart(parseInt(task.date_completed));
+            throughput[week] = (throughput[week] || 0) + 1;
+        });
+
+        // Compare the first and second half of the range to answer "are we getting faster?"
+        const middle = startDate + (endDate - startDate) / 2;
+        const firstHalf = summarizeDurations(durations(completed.filter(task => parseInt(task.date_completed) < middle), 'date_started'));
+        const secondHalf = summarizeDurations(durations(completed.filter(task => parseInt(task.date_completed) >= middle), 'date_started'));
+        let trend = 'Not enough completed tasks to compare';
+        if (firstHalf.count > 0 && secondHalf.count > 0) {
+            const change = secondHalf.median_days - firstHalf.median_days;
+            trend = change < 0 ? `Faster: median cycle time down ${Math.abs(change).toFixed(1)} days`
+                : change > 0 ? `Slower: median cycle time up ${change.toFixed(1)} days`
+                    : 'Stable: median cycle time unchanged';
+        }
+
+        const openTasks = tasks.filter(task => task.is_active === '1');
+        const wip = columns.map(column => {
+            const count = openTasks.filter(task => parseInt(task.column_id) === parseInt(column.id)).length;
+            const limit = parseInt(column.task_limit) || 0;
+            return {
+                column_id: column.id,
+                column: column.title,
+                tasks: count,
+                task_limit: limit || null,
+                over_limit: limit > 0 && count > limit
+            };
+        });
+
+        // Daily points for up to ~3 months, weekly beyond that
+        const step = endDate - startDate > 92 * SECONDS_PER_DAY ? 7 * SECONDS_PER_DAY : SECONDS_PER_DAY;
+        const cumulativeFlow = [];
+        for (let day = startDate; day <= endDate; day += step) {
+            const endOfDay = day + SECONDS_PER_DAY - 1;
+            const existing = tasks.filter(task => parseInt(task.date_creation) <= endOfDay);
+            const done = existing.filter(task => task.is_active !== '1' && (parseInt(task.date_completed) || 0) <= endOfDay && parseInt(task.date_completed));
+            const started = existing.filter(task => !done.includes(task) && parseInt(task.date_started) && parseInt(task.date_started) <= endOfDay);
+            cumulativeFlow.push({
+                date: formatIsoDate(new Date(day * 1000)),
+                to_do: existing.length - done.length - started.length,
+                in_progress: started.length,
+                done: done.length
+            });
+        }
+
+        return {
+            completed_tasks: completed.length,
+            lead_time: summarizeDurations(durations(completed, 'date_creation')),
+            cycle_time: summarizeDurations(durations(completed, 'date_started')),
+            cycle_time_trend: trend,
+            throughput_per_week: Object.entries(throughput).map(([week, count]) => ({ week, completed: count })),
+            wip: wip,
+            cumulative_flow: cumulativeFlow
+        };
+    }
+
+    // Helper function to render project metrics as a short Markdown summary
+    function renderProjectMetricsMarkdown(projectName, range, metrics) {
+        const days = value => value === null ? 'n/a' : `${value} d`;
+        const weeks = metrics.throughput_per_week;
+        const average = weeks.length ? (metrics.completed_tasks / weeks.length).toFixed(1) : '0';
+        const lines = [
+            `## ${projectName}: ${range.start} to ${range.end}`,
+            '',
+            `- **Completed:** ${metrics.completed_tasks} task${metrics.completed_tasks === 1 ? '' : 's'} (${average} per week)`,
+            `- **Lead time:** median ${days(metrics.lead_time.median_days)}, average ${days(metrics.lead_time.average_days)}, 85th percentile ${days(metrics.lead_time.p85_days)}`,
+            `- **Cycle time:** median ${days(metrics.cycle_time.median_days)}, average ${days(metrics.cycle_time.average_days)}, 85th percentile ${days(metrics.cycle_time.p85_days)}`,
+            `- **Trend:** ${metrics.cycle_time_trend}`,
+            '',
+            '| Column | WIP | Limit |',
+            '| --- | --- | --- |',
+            ...metrics.wip.map(column => `| ${markdownCell(column.column)} | ${column.tasks}${column.over_limit ? ' ⚠️' : ''} | ${column.task_limit || '-'} |`),
+            '',
+            `Throughput by week: ${weeks.map(week => `${week.week}: ${week.completed}`).join(', ') || 'none'}`
+        ];
+        return lines.join('\n');
+    }
+
+    const durationSummarySchema = {
+        type: 'object',
+        properties: {
+            count: { type: 'number' },
+            average_days: { type: ['number', 'null'] },
+            median_days: { type: ['number', 'null'] },
+            p85_days: { type: ['number', 'null'] }
+        }
+    };
+
+    return [
+        {
+            name: 'get_project_metrics',
+            description: 'Flow metrics for a project: lead time, cycle time, weekly throughput, WIP per column and cumulative flow, with a Markdown summary',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    start_date: {
+                        type: 'string',
+                        description: 'Start of the range, e.g. "2024-05-01" (optional, defaults to 30 days ago)'
+                    },
+                    end_date: {
+                        type: 'string',
+                        description: 'End of the range, inclusive (optional, defaults to today)'
+                    }
+                },
+                required: ['project_id']
+            },
+            outputSchema: resultSchema({
+                project_id: { type: ['number', 'string'] },
+                project_name: { type: 'string' },
+                range: {
+                    type: 'object',
+                    properties: {
+                        start: { type: 'string' },
+                        end: { type: 'string' }
+                    }
+                },
+                completed_tasks: { type: 'number' },
+                lead_time: durationSummarySchema,
+                cycle_time: durationSummarySchema,
+                cycle_time_trend: { type: 'string' },
+                throughput_per_week: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            week: { type: 'string', description: 'Monday starting the week, YYYY-MM-DD' },
+                            completed: { type: 'number' }
+                        }
+                    }
+                },
+                wip: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            column_id: { type: ['number', 'string'] },
+                            column: { type: 'string' },
+                            tasks: { type: 'number' },
+                            task_limit: { type: ['number', 'null'] },
+                            over_limit: { type: 'boolean' }
+                        }
+                    }
+                },
+                cumulative_flow: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            date: { type: 'string' },
+                            to_do: { type: 'number' },
+                            in_progress: { type: 'number' },
+                            done: { type: 'number' }
+                        }
+                    }
+                },
+                summary: { type: 'string', description: 'The metrics as a short Markdown summary' }
+            }),
+            markdown: result => result.summary,
+            async handler(args) {
+                const today = new Date();
+                today.setHours(0, 0, 0, 0);
+                // A bare date as end of range includes the whole day
+                const endDate = toEndOfDay(args.end_date ? parseDateInput(args.end_date, 'end_date') : Math.floor(today.getTime() / 1000));
+                const endDay = new Date(endDate * 1000);
+                endDay.setHours(0, 0, 0, 0);
+                const startDate = args.start_date ? parseDateInput(args.start_date, 'start_date') : Math.floor(endDay.getTime() / 1000) - 29 * SECONDS_PER_DAY;
+                if (startDate > endDate) throw new Error('start_date must be before end_date');
+
+                const [project, columns, openTasks, closedTasks] = await Promise.all([
+                    callKanboard('getProjectById', { project_id: args.project_id }, 'Project not found'),
+                    callKanboard('getColumns', { project_id: args.project_id }),
+                    callKanboard('getAllTasks', { project_id: args.project_id, status_id: 1 }),
+                    callKanboard('getAllTasks', { project_id: args.project_id, status_id: 0 })
+                ]);
+
+                const metrics = computeProjectMetrics([...openTasks, ...closedTasks], columns, startDate, endDate);
+                const range = { start: formatIsoDate(new Date(startDate * 1000)), end: formatIsoDate(new Date(endDate * 1000)) };
+
+                return {
+                    success: true,
+                    project_id: args.project_id,
+                    project_name: project.name,
+                    range: range,
+                    ...metrics,
+                    summary: renderProjectMetricsMarkdown(project.name, range, metrics)
+                };
+            }
+        }
+    ];
+};
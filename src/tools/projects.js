@@ -0,0 +1,305 @@
+// Project tools: listing, creating, updating, archiving and deleting projects
+module.exports = function projectTools({ kanboardBatch, callKanboard, isProjectVisible, formatDate, formatIsoDate, parseDateInput, boardUrl, resultSchema }) {
+    // Helper function to build the handler of enable_project / disable_project
+    function setProjectActive(enable) {
+        return async args => {
+            await callKanboard(enable ? 'enableProject' : 'disableProject', {
+                project_id: args.project_id
+            }, `Project could not be ${enable ? 'enabled' : 'disabled'}`);
+
+            return {
+                success: true,
+                project_id: args.project_id,
+                is_active: enable,
+                message: enable ? 'Project enabled successfully' : 'Project disabled successfully'
+            };
+        };
+    }
+
+    const projectIdSchema = {
+        type: 'object',
+        properties: {
+            project_id: {
+                type: ['number', 'string'],
+                description: 'Project ID or name'
+            }
+        },
+        required: ['project_id']
+    };
+
+    const projectProperties = {
+        id: { type: ['number', 'string'] },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        is_active: { type: 'boolean' },
+        is_public: { type: 'boolean' },
+        created: { type: 'string' },
+        modified: { type: 'string' }
+    };
+
+    const projectStatusSchema = resultSchema({
+        project_id: { type: ['number', 'string'] },
+        is_active: { type: 'boolean' }
+    });
+
+    return [
+        {
+            name: 'get_all_projects',
+            description: 'Get all projects from Kanboard',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {},
+                required: []
+            },
+            outputSchema: resultSchema({
+                projects: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { ...projectProperties, owner: { type: ['number', 'string'] } }
+                    }
+                },
+                total: { type: 'number' }
+            }),
+            async handler() {
+                const projects = (await callKanboard('getAllProjects')).filter(project => isProjectVisible(parseInt(project.id)));
+
+                return {
+                    success: true,
+                    projects: projects.map(project => ({
+                        id: project.id,
+                        name: project.name,
+                        description: project.description || 'No description',
+                        is_active: project.is_active === '1',
+                        is_public: project.is_public === '1',
+                        created: formatDate(project.created),
+                        modified: formatDate(project.modified),
+                        owner: project.owner_id
+                    })),
+                    total: projects.length
+                };
+            }
+        },
+        {
+            name: 'get_project',
+            description: 'Get details of a specific project',
+            annotations: { readOnlyHint: true },
+            inputSchema: projectIdSchema,
+            outputSchema: resultSchema({
+                project: {
+                    type: 'object',
+                    properties: {
+                        ...projectProperties,
+                        owner_id: { type: ['number', 'string'] },
+                        start_date: { type: 'string' },
+                        end_date: { type: 'string' },
+                        url: { type: 'string' }
+                    }
+                }
+            }),
+            async handler(args) {
+                const project = await callKanboard('getProjectById', {
+                    project_id: args.project_id
+                }, 'Project not found');
+
+                return {
+                    success: true,
+                    project: {
+                        id: project.id,
+                        name: project.name,
+                        description: project.description || 'No description',
+                        is_active: project.is_active === '1',
+                        is_public: project.is_public === '1',
+                        created: formatDate(project.created),
+                        modified: formatDate(project.modified),
+                        owner_id: project.owner_id,
+                        start_date: formatDate(project.start_date),
+                        end_date: formatDate(project.end_date),
+                        url: boardUrl(project.id)
+                    }
+                };
+            }
+        },
+        {
+            name: 'create_project',
+            description: 'Create a new project',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    name: {
+                        type: 'string',
+                        description: 'Project name'
+                    },
+                    description: {
+                        type: 'string',
+                        description: 'Project description'
+                    }
+                },
+                required: ['name']
+            },
+            outputSchema: resultSchema({
+                project_id: { type: ['number', 'string'] },
+                url: { type: 'string' }
+            }),
+            async handler(args) {
+                const projectId = await callKanboard('createProject', {
+                    name: args.name,
+                    description: args.description || ''
+                });
+
+                return {
+                    success: true,
+                    project_id: projectId,
+                    message: `Project "${args.name}" created successfully`,
+                    url: boardUrl(projectId)
+                };
+            }
+        },
+        {
+            name: 'update_project',
+            description: 'Update a project\'s name, description, identifier, owner or dates',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    name: {
+                        type: 'string',
+                        description: 'New project name'
+                    },
+                    description: {
+                        type: 'string',
+                        description: 'New project description'
+                    },
+                    identifier: {
+                        type: 'string',
+                        description: 'Project identifier (uppercase letters and digits, e.g. "WEB")'
+                    },
+                    owner_id: {
+                        type: ['number', 'string'],
+                        description: 'Project owner user ID, username or name'
+                    },
+                    start_date: {
+                        type: 'string',
+                        description: 'Start date, e.g. "2024-05-01" or "next monday" ("none" clears it)'
+                    },
+                    end_date: {
+                        type: 'string',
+                        description: 'End date, e.g. "2024-06-30" or "in 3 weeks" ("none" clears it)'
+                    }
+                },
+                required: ['project_id']
+            },
+            outputSchema: resultSchema({
+                project_id: { type: ['number', 'string'] },
+                updated: { type: 'object', description: 'The fields sent to Kanboard' }
+            }),
+            async handler(args) {
+                const projectData = { project_id: args.project_id };
+                ['name', 'description', 'owner_id'].forEach(field => {
+                    if (args[field] !== undefined) projectData[field] = args[field];
+                });
+                if (args.identifier !== undefined) projectData.identifier = String(args.identifier).toUpperCase();
+                // Kanboard stores project dates as YYYY-MM-DD strings
+                ['start_date', 'end_date'].forEach(field => {
+                    if (args[field] === undefined) return;
+                    const timestamp = parseDateInput(args[field], field);
+                    projectData[field] = timestamp ? formatIsoDate(new Date(timestamp * 1000)) : '';
+                });
+
+                await callKanboard('updateProject', projectData, 'Project could not be updated');
+
+                const { project_id: projectId, ...changes } = projectData;
+                return {
+                    success: true,
+                    project_id: projectId,
+                    updated: changes,
+                    message: 'Project updated successfully'
+                };
+            }
+        },
+        {
+            name: 'enable_project',
+            description: 'Reactivate a disabled (archived) project',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: projectIdSchema,
+            outputSchema: projectStatusSchema,
+            handler: setProjectActive(true)
+        },
+        {
+            name: 'disable_project',
+            description: 'Disable (archive) a project: it is closed and hidden from dashboards, but its data is kept',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: projectIdSchema,
+            outputSchema: projectStatusSchema,
+            handler: setProjectActive(false)
+        },
+        {
+            name: 'delete_project',
+            description: 'Permanently delete a project with all its tasks. Requires confirm: true',
+            annotations: { readOnlyHint: false, destructiveHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    confirm: {
+                        type: 'boolean',
+                        description: 'Must be true to delete the project, this cannot be undone'
+                    }
+                },
+                required: ['project_id']
+            },
+            outputSchema: resultSchema({
+                project_id: { type: ['number', 'string'] },
+                project: {
+                    type: ['object', 'null'],
+                    description: 'The project that would be deleted, when confirm is missing',
+                    properties: {
+                        id: { type: ['number', 'string'] },
+                        name: { type: 'string' },
+                        open_tasks: { type: ['number', 'null'] },
+                        closed_tasks: { type: ['number', 'null'] }
+                    }
+                }
+            }),
+            async handler(args) {
+                if (args.confirm !== true) {
+                    const [projectResponse, openResponse, closedResponse] = await kanboardBatch([
+                        { method: 'getProjectById', params: { project_id: args.project_id } },
+                        { method: 'getAllTasks', params: { project_id: args.project_id, status_id: 1 } },
+                        { method: 'getAllTasks', params: { project_id: args.project_id, status_id: 0 } }
+                    ]);
+                    const project = projectResponse.success ? projectResponse.data : null;
+                    return {
+                        success: false,
+                        error: 'Deleting a project removes all its tasks and cannot be undone, call delete_project again with confirm: true to proceed. Consider disable_project to archive it instead',
+                        project: project ? {
+                            id: project.id,
+                            name: project.name,
+                            open_tasks: openResponse.success ? openResponse.data.length : null,
+                            closed_tasks: closedResponse.success ? closedResponse.data.length : null
+                        } : null
+                    };
+                }
+
+                await callKanboard('removeProject', {
+                    project_id: args.project_id
+                }, 'Project could not be deleted');
+
+                return {
+                    success: true,
+                    project_id: args.project_id,
+                    message: 'Project deleted successfully'
+                };
+            }
+        }
+    ];
+};
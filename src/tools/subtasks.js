@@ -0,0 +1,235 @@
+// Subtask tools: listing, creating, updating, completing and deleting subtasks
+module.exports = function subtaskTools({ callKanboard, getSubtaskProgress, formatSubtask, resultSchema, subtaskSchema, subtaskProgressSchema }) {
+    const subtaskChangeSchema = resultSchema({
+        subtask_id: { type: ['number', 'string'] },
+        task_id: { type: ['number', 'string'] }
+    });
+
+    // Helper function to check that a subtask belongs to the given task, which the project policy is checked against
+    async function assertSubtaskOfTask(subtaskId, taskId) {
+        const subtask = await callKanboard('getSubtask', { subtask_id: subtaskId }, 'Subtask not found');
+        if (parseInt(subtask.task_id) !== parseInt(taskId)) {
+            throw new Error(`Subtask #${subtaskId} does not belong to task #${taskId}`);
+        }
+    }
+
+    return [
+        {
+            name: 'get_subtasks',
+            description: 'Get all subtasks of a task with their progress',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    }
+                },
+                required: ['task_id']
+            },
+            outputSchema: resultSchema({
+                task_id: { type: ['number', 'string'] },
+                progress: subtaskProgressSchema,
+                subtasks: { type: 'array', items: subtaskSchema }
+            }),
+            async handler(args) {
+                const subtasks = await callKanboard('getAllSubtasks', {
+                    task_id: args.task_id
+                });
+
+                return {
+                    success: true,
+                    task_id: args.task_id,
+                    progress: getSubtaskProgress(subtasks),
+                    subtasks: subtasks.map(formatSubtask)
+                };
+            }
+        },
+        {
+            name: 'create_subtask',
+            description: 'Create a new subtask on a task',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    title: {
+                        type: 'string',
+                        description: 'Subtask title'
+                    },
+                    user_id: {
+                        type: ['number', 'string'],
+                        description: 'Assignee: user ID, username or name'
+                    },
+                    time_estimated: {
+                        type: 'number',
+                        description: 'Estimated time in hours'
+                    },
+                    time_spent: {
+                        type: 'number',
+                        description: 'Time spent in hours'
+                    },
+                    status: {
+                        type: 'number',
+                        enum: [0, 1, 2],
+                        description: 'Status (0=todo, 1=in progress, 2=done)',
+                        default: 0
+                    }
+                },
+                required: ['task_id', 'title']
+            },
+            outputSchema: subtaskChangeSchema,
+            async handler(args) {
+                const subtaskData = {
+                    task_id: args.task_id,
+                    title: args.title
+                };
+
+                if (args.user_id !== undefined) subtaskData.user_id = args.user_id;
+                if (args.time_estimated !== undefined) subtaskData.time_estimated = args.time_estimated;
+                if (args.time_spent !== undefined) subtaskData.time_spent = args.time_spent;
+                if (args.status !== undefined) subtaskData.status = args.status;
+
+                const subtaskId = await callKanboard('createSubtask', subtaskData, 'Subtask could not be created');
+
+                return {
+                    success: true,
+                    subtask_id: subtaskId,
+                    task_id: args.task_id,
+                    message: `Subtask "${args.title}" created successfully`
+                };
+            }
+        },
+        {
+            name: 'update_subtask',
+            description: 'Update an existing subtask',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    subtask_id: {
+                        type: 'number',
+                        description: 'Subtask ID'
+                    },
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID the subtask belongs to'
+                    },
+                    title: {
+                        type: 'string',
+                        description: 'New subtask title'
+                    },
+                    user_id: {
+                        type: ['number', 'string'],
+                        description: 'New assignee: user ID, username or name'
+                    },
+                    time_estimated: {
+                        type: 'number',
+                        description: 'New estimated time in hours'
+                    },
+                    time_spent: {
+                        type: 'number',
+                        description: 'New time spent in hours'
+                    },
+                    status: {
+                        type: 'number',
+                        enum: [0, 1, 2],
+                        description: 'New status (0=todo, 1=in progress, 2=done)'
+                    }
+                },
+                required: ['subtask_id', 'task_id']
+            },
+            outputSchema: subtaskChangeSchema,
+            async handler(args) {
+                await assertSubtaskOfTask(args.subtask_id, args.task_id);
+
+                const updateData = {
+                    id: args.subtask_id,
+                    task_id: args.task_id
+                };
+
+                if (args.title !== undefined) updateData.title = args.title;
+                if (args.user_id !== undefined) updateData.user_id = args.user_id;
+                if (args.time_estimated !== undefined) updateData.time_estimated = args.time_estimated;
+                if (args.time_spent !== undefined) updateData.time_spent = args.time_spent;
+                if (args.status !== undefined) updateData.status = args.status;
+
+                await callKanboard('updateSubtask', updateData, 'Subtask could not be updated');
+
+                return {
+                    success: true,
+                    subtask_id: args.subtask_id,
+                    task_id: args.task_id,
+                    message: 'Subtask updated successfully'
+                };
+            }
+        },
+        {
+            name: 'complete_subtask',
+            description: 'Mark a subtask as done',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    subtask_id: {
+                        type: 'number',
+                        description: 'Subtask ID'
+                    },
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID the subtask belongs to'
+                    }
+                },
+                required: ['subtask_id', 'task_id']
+            },
+            outputSchema: subtaskChangeSchema,
+            async handler(args) {
+                await assertSubtaskOfTask(args.subtask_id, args.task_id);
+
+                await callKanboard('updateSubtask', {
+                    id: args.subtask_id,
+                    task_id: args.task_id,
+                    status: 2
+                }, 'Subtask could not be completed');
+
+                return {
+                    success: true,
+                    subtask_id: args.subtask_id,
+                    task_id: args.task_id,
+                    message: 'Subtask marked as done'
+                };
+            }
+        },
+        {
+            name: 'delete_subtask',
+            description: 'Delete a subtask',
+            annotations: { readOnlyHint: false, destructiveHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    subtask_id: {
+                        type: 'number',
+                        description: 'Subtask ID'
+                    }
+                },
+                required: ['subtask_id']
+            },
+            outputSchema: subtaskChangeSchema,
+            async handler(args) {
+                await callKanboard('removeSubtask', {
+                    subtask_id: args.subtask_id
+                }, 'Subtask could not be deleted');
+
+                return {
+                    success: true,
+                    subtask_id: args.subtask_id,
+                    message: 'Subtask deleted successfully'
+                };
+            }
+        }
+    ];
+};
@@ -0,0 +1,234 @@
+// Swimlane tools: listing, creating, updating, reordering, enabling and disabling swimlanes
+module.exports = function swimlaneTools({ callKanboard, resultSchema }) {
+    // Helper function to build the handler of enable_swimlane / disable_swimlane
+    function setSwimlaneActive(enable) {
+        return async args => {
+            await callKanboard(enable ? 'enableSwimlane' : 'disableSwimlane', {
+                project_id: args.project_id,
+                swimlane_id: args.swimlane_id
+            }, `Swimlane could not be ${enable ? 'enabled' : 'disabled'}`);
+
+            return {
+                success: true,
+                swimlane_id: args.swimlane_id,
+                message: `Swimlane ${enable ? 'enabled' : 'disabled'} successfully`
+            };
+        };
+    }
+
+    const swimlaneIdSchema = {
+        type: 'object',
+        properties: {
+            project_id: {
+                type: ['number', 'string'],
+                description: 'Project ID or name'
+            },
+            swimlane_id: {
+                type: ['number', 'string'],
+                description: 'Swimlane ID or name'
+            }
+        },
+        required: ['project_id', 'swimlane_id']
+    };
+
+    const swimlaneChangeSchema = resultSchema({
+        swimlane_id: { type: ['number', 'string'] }
+    });
+
+    return [
+        {
+            name: 'get_swimlanes',
+            description: 'Get the swimlanes of a project',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    include_inactive: {
+                        type: 'boolean',
+                        description: 'Also return disabled swimlanes',
+                        default: false
+                    }
+                },
+                required: ['project_id']
+            },
+            outputSchema: resultSchema({
+                project_id: { type: ['number', 'string'] },
+                swimlanes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: ['number', 'string'] },
+                            name: { type: 'string' },
+                            description: { type: 'string' },
+                            position: { type: ['number', 'string'] },
+                            is_active: { type: 'boolean' }
+                        }
+                    }
+                },
+                total: { type: 'number' }
+            }),
+            async handler(args) {
+                const swimlanes = await callKanboard(args.include_inactive ? 'getAllSwimlanes' : 'getActiveSwimlanes', {
+                    project_id: args.project_id
+                });
+
+                return {
+                    success: true,
+                    project_id: args.project_id,
+                    swimlanes: swimlanes.map(swimlane => ({
+                        id: swimlane.id,
+                        name: swimlane.name,
+                        description: swimlane.description || 'No description',
+                        position: swimlane.position,
+                        is_active: swimlane.is_active === undefined || parseInt(swimlane.is_active) === 1
+                    })),
+                    total: swimlanes.length
+                };
+            }
+        },
+        {
+            name: 'create_swimlane',
+            description: 'Add a swimlane to a project',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    name: {
+                        type: 'string',
+                        description: 'Swimlane name'
+                    },
+                    description: {
+                        type: 'string',
+                        description: 'Swimlane description'
+                    }
+                },
+                required: ['project_id', 'name']
+            },
+            outputSchema: swimlaneChangeSchema,
+            async handler(args) {
+                const swimlaneId = await callKanboard('addSwimlane', {
+                    project_id: args.project_id,
+                    name: args.name,
+                    description: args.description || ''
+                }, 'Swimlane could not be created (the name may already be used)');
+
+                return {
+                    success: true,
+                    swimlane_id: swimlaneId,
+                    message: `Swimlane "${args.name}" created successfully`
+                };
+            }
+        },
+        {
+            name: 'update_swimlane',
+            description: 'Rename a swimlane or change its description',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    swimlane_id: {
+                        type: ['number', 'string'],
+                        description: 'Swimlane ID or name'
+                    },
+                    name: {
+                        type: 'string',
+                        description: 'New swimlane name'
+                    },
+                    description: {
+                        type: 'string',
+                        description: 'New swimlane description'
+                    }
+                },
+                required: ['project_id', 'swimlane_id', 'name']
+            },
+            outputSchema: swimlaneChangeSchema,
+            async handler(args) {
+                const swimlaneData = {
+                    project_id: args.project_id,
+                    swimlane_id: args.swimlane_id,
+                    name: args.name
+                };
+
+                if (args.description !== undefined) swimlaneData.description = args.description;
+
+                await callKanboard('updateSwimlane', swimlaneData, 'Swimlane could not be updated');
+
+                return {
+                    success: true,
+                    swimlane_id: args.swimlane_id,
+                    message: 'Swimlane updated successfully'
+                };
+            }
+        },
+        {
+            name: 'reorder_swimlane',
+            description: 'Change the position of a swimlane on the board',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    swimlane_id: {
+                        type: ['number', 'string'],
+                        description: 'Swimlane ID or name'
+                    },
+                    position: {
+                        type: 'number',
+                        description: 'New position (1 = top)'
+                    }
+                },
+                required: ['project_id', 'swimlane_id', 'position']
+            },
+            outputSchema: resultSchema({
+                swimlane_id: { type: ['number', 'string'] },
+                position: { type: 'number' }
+            }),
+            async handler(args) {
+                await callKanboard('changeSwimlanePosition', {
+                    project_id: args.project_id,
+                    swimlane_id: args.swimlane_id,
+                    position: args.position
+                }, 'Swimlane could not be moved');
+
+                return {
+                    success: true,
+                    swimlane_id: args.swimlane_id,
+                    position: args.position,
+                    message: 'Swimlane moved successfully'
+                };
+            }
+        },
+        {
+            name: 'enable_swimlane',
+            description: 'Enable a swimlane so it shows on the board',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: swimlaneIdSchema,
+            outputSchema: swimlaneChangeSchema,
+            handler: setSwimlaneActive(true)
+        },
+        {
+            name: 'disable_swimlane',
+            description: 'Disable a swimlane so it is hidden from the board',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: swimlaneIdSchema,
+            outputSchema: swimlaneChangeSchema,
+            handler: setSwimlaneActive(false)
+        }
+    ];
+};
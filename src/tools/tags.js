@@ -0,0 +1,252 @@
+// Tag tools: managing project tags and the tags of a task
+module.exports = function tagTools({ callKanboard, isProjectVisible, resultSchema }) {
+    const tagIdSchema = resultSchema({
+        tag_id: { type: ['number', 'string'] }
+    });
+
+    return [
+        {
+            name: 'get_tags',
+            description: 'Get all tags of a project, or every tag in the system if no project is given',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name (optional)'
+                    }
+                },
+                required: []
+            },
+            outputSchema: resultSchema({
+                project_id: { type: ['number', 'string'], description: 'The project, or "all"' },
+                tags: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: ['number', 'string'] },
+                            name: { type: 'string' },
+                            project_id: { type: ['number', 'string'] },
+                            color: { type: 'string' }
+                        }
+                    }
+                },
+                total: { type: 'number' }
+            }),
+            async handler(args) {
+                // Global tags (project 0) are not bound to a project and stay visible
+                const tags = args.project_id
+                    ? await callKanboard('getTagsByProject', { project_id: args.project_id })
+                    : (await callKanboard('getAllTags')).filter(tag => !parseInt(tag.project_id) || isProjectVisible(parseInt(tag.project_id)));
+
+                return {
+                    success: true,
+                    project_id: args.project_id || 'all',
+                    tags: tags.map(tag => ({
+                        id: tag.id,
+                        name: tag.name,
+                        project_id: tag.project_id,
+                        color: tag.color_id || 'None'
+                    })),
+                    total: tags.length
+                };
+            }
+        },
+        {
+            name: 'create_tag',
+            description: 'Create a new tag in a project',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    name: {
+                        type: 'string',
+                        description: 'Tag name'
+                    },
+                    color_id: {
+                        type: 'string',
+                        description: 'Tag color (e.g. red, blue, green)'
+                    }
+                },
+                required: ['project_id', 'name']
+            },
+            outputSchema: tagIdSchema,
+            async handler(args) {
+                const tagData = {
+                    project_id: args.project_id,
+                    tag: args.name
+                };
+
+                if (args.color_id) tagData.color_id = args.color_id;
+
+                const tagId = await callKanboard('createTag', tagData, 'Tag could not be created (it may already exist)');
+
+                return {
+                    success: true,
+                    tag_id: tagId,
+                    message: `Tag "${args.name}" created successfully`
+                };
+            }
+        },
+        {
+            name: 'update_tag',
+            description: 'Rename a tag or change its color',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    tag_id: {
+                        type: 'number',
+                        description: 'Tag ID'
+                    },
+                    name: {
+                        type: 'string',
+                        description: 'New tag name'
+                    },
+                    color_id: {
+                        type: 'string',
+                        description: 'New tag color'
+                    }
+                },
+                required: ['tag_id', 'name']
+            },
+            outputSchema: tagIdSchema,
+            async handler(args) {
+                const tagData = {
+                    tag_id: args.tag_id,
+                    tag: args.name
+                };
+
+                if (args.color_id) tagData.color_id = args.color_id;
+
+                await callKanboard('updateTag', tagData, 'Tag could not be updated');
+
+                return {
+                    success: true,
+                    tag_id: args.tag_id,
+                    message: `Tag renamed to "${args.name}"`
+                };
+            }
+        },
+        {
+            name: 'delete_tag',
+            description: 'Delete a tag',
+            annotations: { readOnlyHint: false, destructiveHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    tag_id: {
+                        type: 'number',
+                        description: 'Tag ID'
+                    }
+                },
+                required: ['tag_id']
+            },
+            outputSchema: tagIdSchema,
+            async handler(args) {
+                await callKanboard('removeTag', {
+                    tag_id: args.tag_id
+                }, 'Tag could not be deleted');
+
+                return {
+                    success: true,
+                    tag_id: args.tag_id,
+                    message: 'Tag deleted successfully'
+                };
+            }
+        },
+        {
+            name: 'get_task_tags',
+            description: 'Get the tags assigned to a task',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    }
+                },
+                required: ['task_id']
+            },
+            outputSchema: resultSchema({
+                task_id: { type: ['number', 'string'] },
+                tags: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: ['number', 'string'] },
+                            name: { type: 'string' }
+                        }
+                    }
+                },
+                total: { type: 'number' }
+            }),
+            async handler(args) {
+                const taskTags = await callKanboard('getTaskTags', {
+                    task_id: args.task_id
+                });
+
+                const tags = Object.entries(taskTags || {}).map(([tagId, name]) => ({
+                    id: tagId,
+                    name: name
+                }));
+                return {
+                    success: true,
+                    task_id: args.task_id,
+                    tags: tags,
+                    total: tags.length
+                };
+            }
+        },
+        {
+            name: 'set_task_tags',
+            description: 'Replace the tags of a task (unknown tags are created in the project)',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    tags: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Tag names (an empty list removes all tags)'
+                    }
+                },
+                required: ['project_id', 'task_id', 'tags']
+            },
+            outputSchema: resultSchema({
+                task_id: { type: ['number', 'string'] },
+                tags: { type: 'array', items: { type: 'string' } }
+            }),
+            async handler(args) {
+                await callKanboard('setTaskTags', {
+                    project_id: args.project_id,
+                    task_id: args.task_id,
+                    tags: args.tags
+                }, 'Task tags could not be updated');
+
+                return {
+                    success: true,
+                    task_id: args.task_id,
+                    tags: args.tags,
+                    message: args.tags.length ? 'Task tags updated successfully' : 'Task tags removed'
+                };
+            }
+        }
+    ];
+};
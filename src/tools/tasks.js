@@ -0,0 +1,1137 @@
+// Task tools: listing and searching tasks, task details, creating, updating, moving, closing and deleting tasks
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Sort keys accepted by the task list tools, mapped to Kanboard task fields
+const TASK_SORT_FIELDS = {
+    id: 'id',
+    title: 'title',
+    priority: 'priority',
+    position: 'position',
+    column: 'column_id',
+    due_date: 'date_due',
+    created: 'date_creation',
+    modified: 'date_modification',
+    completed: 'date_completed'
+};
+
+// Helper function to sort tasks by one of TASK_SORT_FIELDS; tasks without a date sort last
+function sortTasks(tasks, sortBy, order) {
+    if (!sortBy) return tasks;
+    const field = TASK_SORT_FIELDS[sortBy];
+    if (!field) throw new Error(`Invalid sort_by "${sortBy}": expected one of ${Object.keys(TASK_SORT_FIELDS).join(', ')}`);
+
+    const direction = order === 'desc' ? -1 : 1;
+    const isDate = field.startsWith('date_');
+    return [...tasks].sort((a, b) => {
+        if (field === 'title') return direction * String(a.title).localeCompare(String(b.title));
+        const valueA = parseInt(a[field]) || 0;
+        const valueB = parseInt(b[field]) || 0;
+        if (isDate && (!valueA || !valueB)) return valueA ? -1 : valueB ? 1 : 0;
+        return direction * (valueA - valueB) || parseInt(a.id) - parseInt(b.id);
+    });
+}
+
+// Helper function to keep only the requested output fields of a task (id is always kept)
+function selectFields(task, fields) {
+    if (!fields || fields.length === 0) return task;
+    const selected = { id: task.id };
+    fields.forEach(field => {
+        if (task[field] !== undefined) selected[field] = task[field];
+    });
+    return selected;
+}
+
+// Helper function to find the position appending a task to the end of a column and swimlane,
+// among the open tasks of its project
+function getAppendPosition(openTasks, taskId, columnId, swimlaneId) {
+    return openTasks.filter(task =>
+        parseInt(task.id) !== parseInt(taskId) &&
+        parseInt(task.column_id) === parseInt(columnId) &&
+        parseInt(task.swimlane_id) === parseInt(swimlaneId)
+    ).length + 1;
+}
+
+// Helper function to shorten a task description to the requested length (0 leaves it out)
+function truncateDescription(description, length) {
+    if (length === 0) return undefined;
+    const text = description || '';
+    return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
+// Filtering, sorting, pagination and field selection shared by get_all_tasks and search_tasks
+const taskListProperties = {
+    tags: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Only return tasks carrying all of these tags'
+    },
+    category_id: {
+        type: ['number', 'string'],
+        description: 'Only return tasks in this category ID or name (0 = no category)'
+    },
+    owner_id: {
+        type: ['number', 'string'],
+        description: 'Only return tasks assigned to this user ID, username or name (0 = unassigned)'
+    },
+    column_id: {
+        type: ['number', 'string'],
+        description: 'Only return tasks in this column ID or title'
+    },
+    swimlane_id: {
+        type: ['number', 'string'],
+        description: 'Only return tasks in this swimlane ID or name'
+    },
+    priority_min: {
+        type: 'number',
+        description: 'Minimum priority (0-3)'
+    },
+    priority_max: {
+        type: 'number',
+        description: 'Maximum priority (0-3)'
+    },
+    due_before: {
+        type: 'string',
+        description: 'Only tasks due on or before this date (ISO date, timestamp or phrase like "next friday")'
+    },
+    due_after: {
+        type: 'string',
+        description: 'Only tasks due on or after this date'
+    },
+    modified_since: {
+        type: 'string',
+        description: 'Only tasks modified on or after this date'
+    },
+    sort_by: {
+        type: 'string',
+        enum: Object.keys(TASK_SORT_FIELDS),
+        description: 'Sort field (default: Kanboard order)'
+    },
+    order: {
+        type: 'string',
+        enum: ['asc', 'desc'],
+        description: 'Sort order',
+        default: 'asc'
+    },
+    limit: {
+        type: 'number',
+        description: `Page size (1-${MAX_PAGE_SIZE})`,
+        default: DEFAULT_PAGE_SIZE
+    },
+    cursor: {
+        type: 'string',
+        description: 'next_cursor from the previous page'
+    },
+    fields: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Only return these task fields, e.g. ["title", "owner", "due_date"] (id is always included)'
+    },
+    description_length: {
+        type: 'number',
+        description: 'Truncate descriptions to this many characters (0 leaves them out)'
+    }
+};
+
+module.exports = function taskTools(toolkit) {
+    const {
+        kanboardRequest, kanboardBatch, callKanboard, formatDate, parseDateInput, parseNumberInput, toEndOfDay, TASK_COLORS,
+        isProjectVisible, getPriorityColor, getTagsForTasks, hasAllTags, getCategoryNames, getCategoryName, matchesCategory,
+        getSubtaskProgress, formatSubtask, getTaskLinks, validateSearchQuery, taskUrl,
+        markdownTable, resultSchema, subtaskSchema, subtaskProgressSchema, taskLinksProperties
+    } = toolkit;
+
+    // Task fields accepted by both create_task and update_task
+    const taskFieldProperties = {
+        color_id: {
+            type: 'string',
+            enum: TASK_COLORS,
+            description: 'Task color'
+        },
+        category_id: {
+            type: ['number', 'string'],
+            description: 'Category ID or name (0 = no category)'
+        },
+        date_due: {
+            type: 'string',
+            description: 'Due date as ISO date (2025-01-31 or 2025-01-31T17:00), Unix timestamp or phrase like "tomorrow", "next friday", "in 3 days" (empty string clears it)'
+        },
+        date_started: {
+            type: 'string',
+            description: 'Start date, same formats as date_due'
+        },
+        time_estimated: {
+            type: 'number',
+            description: 'Estimated time in hours'
+        },
+        time_spent: {
+            type: 'number',
+            description: 'Time spent in hours'
+        },
+        score: {
+            type: 'number',
+            description: 'Complexity score (story points)'
+        },
+        reference: {
+            type: 'string',
+            description: 'External reference (e.g. ticket number)'
+        },
+        recurrence_status: {
+            type: 'number',
+            description: 'Recurrence (0=none, 1=pending)'
+        },
+        recurrence_trigger: {
+            type: 'number',
+            description: 'Recurrence trigger (0=moved to last column, 1=moved from first column, 2=closed)'
+        },
+        recurrence_factor: {
+            type: 'number',
+            description: 'Recurrence interval, e.g. 2 for every 2 days/months/years'
+        },
+        recurrence_timeframe: {
+            type: 'number',
+            description: 'Recurrence timeframe (0=days, 1=months, 2=years)'
+        },
+        recurrence_basedate: {
+            type: 'number',
+            description: 'Base date for the recurrence (0=existing due date, 1=action date)'
+        }
+    };
+
+    // Helper function to validate and convert the optional task fields shared by createTask and updateTask
+    function buildTaskFields(args) {
+        const fields = {};
+
+        if (args.title !== undefined) {
+            if (typeof args.title !== 'string' || args.title.trim() === '') throw new Error('Invalid title: must be a non-empty string');
+            fields.title = args.title;
+        }
+        if (args.description !== undefined) fields.description = String(args.description);
+        if (args.reference !== undefined) fields.reference = String(args.reference);
+
+        if (args.color_id !== undefined) {
+            if (!TASK_COLORS.includes(args.color_id)) {
+                throw new Error(`Invalid color_id: "${args.color_id}". Allowed colors: ${TASK_COLORS.join(', ')}`);
+            }
+            fields.color_id = args.color_id;
+        }
+
+        if (args.owner_id !== undefined) fields.owner_id = parseNumberInput(args.owner_id, 'owner_id', { integer: true });
+        if (args.category_id !== undefined) fields.category_id = parseNumberInput(args.category_id, 'category_id', { integer: true });
+        if (args.priority !== undefined) fields.priority = parseNumberInput(args.priority, 'priority', { integer: true });
+        if (args.score !== undefined) fields.score = parseNumberInput(args.score, 'score', { integer: true });
+        if (args.time_estimated !== undefined) fields.time_estimated = parseNumberInput(args.time_estimated, 'time_estimated');
+        if (args.time_spent !== undefined) fields.time_spent = parseNumberInput(args.time_spent, 'time_spent');
+
+        if (args.date_due !== undefined) fields.date_due = parseDateInput(args.date_due, 'date_due');
+        if (args.date_started !== undefined) fields.date_started = parseDateInput(args.date_started, 'date_started');
+
+        if (args.recurrence_status !== undefined) fields.recurrence_status = parseNumberInput(args.recurrence_status, 'recurrence_status', { integer: true, max: 1 });
+        if (args.recurrence_trigger !== undefined) fields.recurrence_trigger = parseNumberInput(args.recurrence_trigger, 'recurrence_trigger', { integer: true, max: 2 });
+        if (args.recurrence_factor !== undefined) fields.recurrence_factor = parseNumberInput(args.recurrence_factor, 'recurrence_factor', { integer: true, min: 1 });
+        if (args.recurrence_timeframe !== undefined) fields.recurrence_timeframe = parseNumberInput(args.recurrence_timeframe, 'recurrence_timeframe', { integer: true, max: 2 });
+        if (args.recurrence_basedate !== undefined) fields.recurrence_basedate = parseNumberInput(args.recurrence_basedate, 'recurrence_basedate', { integer: true, max: 1 });
+
+        if (args.tags !== undefined) {
+            if (!Array.isArray(args.tags)) throw new Error('Invalid tags: expected a list of tag names');
+            fields.tags = args.tags.map(String);
+        }
+
+        return fields;
+    }
+
+    // Apply the structured filters shared by get_all_tasks and search_tasks (tags are handled separately)
+    function filterTasks(tasks, args) {
+        const dueBefore = args.due_before !== undefined ? toEndOfDay(parseDateInput(args.due_before, 'due_before')) : null;
+        const dueAfter = args.due_after !== undefined ? parseDateInput(args.due_after, 'due_after') : null;
+        const modifiedSince = args.modified_since !== undefined ? parseDateInput(args.modified_since, 'modified_since') : null;
+        const priorityMin = args.priority_min !== undefined ? parseNumberInput(args.priority_min, 'priority_min', { integer: true }) : null;
+        const priorityMax = args.priority_max !== undefined ? parseNumberInput(args.priority_max, 'priority_max', { integer: true }) : null;
+
+        return tasks.filter(task => {
+            const due = parseInt(task.date_due) || 0;
+            const priority = parseInt(task.priority) || 0;
+            if (args.owner_id !== undefined && (parseInt(task.owner_id) || 0) !== parseInt(args.owner_id)) return false;
+            if (args.column_id !== undefined && parseInt(task.column_id) !== parseInt(args.column_id)) return false;
+            if (args.swimlane_id !== undefined && parseInt(task.swimlane_id) !== parseInt(args.swimlane_id)) return false;
+            if (!matchesCategory(task, args.category_id)) return false;
+            if (priorityMin !== null && priority < priorityMin) return false;
+            if (priorityMax !== null && priority > priorityMax) return false;
+            if (dueBefore !== null && (!due || due > dueBefore)) return false;
+            if (dueAfter !== null && (!due || due < dueAfter)) return false;
+            if (modifiedSince !== null && (parseInt(task.date_modification) || 0) < modifiedSince) return false;
+            return true;
+        });
+    }
+
+    // Helper function to cut a page out of a list. The cursor is an opaque token holding the offset.
+    function paginate(items, limit, cursor) {
+        const pageSize = limit !== undefined ? parseNumberInput(limit, 'limit', { integer: true, min: 1, max: MAX_PAGE_SIZE }) : DEFAULT_PAGE_SIZE;
+        let offset = 0;
+        if (cursor) {
+            try {
+                offset = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8')).offset;
+            } catch (error) {
+                offset = NaN;
+            }
+            if (!Number.isInteger(offset) || offset < 0) throw new Error('Invalid cursor: use the next_cursor value of a previous response');
+        }
+
+        const nextOffset = offset + pageSize;
+        return {
+            items: items.slice(offset, nextOffset),
+            total: items.length,
+            next_cursor: nextOffset < items.length ? Buffer.from(JSON.stringify({ offset: nextOffset })).toString('base64url') : null
+        };
+    }
+
+    // Filter, sort and paginate a task list; tags are only fetched for the tasks that need them
+    async function listTasks(tasks, args) {
+        const filtered = filterTasks(tasks, args);
+        let tagsByTask = null;
+        if (args.tags && args.tags.length > 0) {
+            tagsByTask = await getTagsForTasks(filtered.map(task => task.id));
+        }
+
+        const matching = sortTasks(tagsByTask ? filtered.filter(task => hasAllTags(tagsByTask[task.id], args.tags)) : filtered, args.sort_by, args.order);
+        const page = paginate(matching, args.limit, args.cursor);
+        if (!tagsByTask) tagsByTask = await getTagsForTasks(page.items.map(task => task.id));
+
+        return { ...page, tagsByTask };
+    }
+
+    // Helper function to build the handler of duplicate_task / move_task_to_project
+    function transferTask(duplicate) {
+        return async args => {
+            const transferData = {
+                task_id: args.task_id,
+                project_id: args.project_id
+            };
+            ['swimlane_id', 'column_id', 'category_id', 'owner_id'].forEach(field => {
+                if (args[field] !== undefined) transferData[field] = args[field];
+            });
+
+            const data = await callKanboard(duplicate ? 'duplicateTaskToProject' : 'moveTaskToProject', transferData,
+                `Task could not be ${duplicate ? 'duplicated' : 'moved'}`);
+
+            const taskId = duplicate ? data : args.task_id;
+            return {
+                success: true,
+                task_id: taskId,
+                project_id: args.project_id,
+                url: taskUrl(taskId, args.project_id),
+                message: duplicate
+                    ? `Task #${args.task_id} duplicated as task #${taskId}`
+                    : `Task #${args.task_id} moved to project #${args.project_id}`
+            };
+        };
+    }
+
+    const transferProperties = {
+        project_id: {
+            type: ['number', 'string'],
+            description: 'Destination project ID or name'
+        },
+        column_id: {
+            type: ['number', 'string'],
+            description: 'Destination column ID or title (optional, defaults to the first column)'
+        },
+        swimlane_id: {
+            type: ['number', 'string'],
+            description: 'Destination swimlane ID or name (optional)'
+        },
+        category_id: {
+            type: ['number', 'string'],
+            description: 'Category ID or name in the destination project (optional)'
+        },
+        owner_id: {
+            type: ['number', 'string'],
+            description: 'Assignee user ID, username or name (optional)'
+        }
+    };
+
+    // Helper function to render a task list as a Markdown table. Unless fields are requested, the
+    // long and rarely needed ones (descriptions, URLs, secondary dates) are left out.
+    function renderTaskList(heading, tasks, result, args) {
+        const hidden = args.fields && args.fields.length ? [] : ['description', 'url', 'category_id', 'creator', 'created', 'modified', 'completed'];
+        const columns = [...new Set(tasks.flatMap(task => Object.keys(task)))].filter(column => !hidden.includes(column));
+        const shown = result.returned !== undefined && result.total > result.returned ? ` (${result.returned} of ${result.total})` : ` (${tasks.length})`;
+
+        const lines = [`**${heading}**${shown}`, ''];
+        if (tasks.length === 0) {
+            lines.push('_No tasks_');
+        } else {
+            lines.push(markdownTable(
+                columns.map(column => column.charAt(0).toUpperCase() + column.slice(1).replace(/_/g, ' ')),
+                tasks.map(task => columns.map(column => Array.isArray(task[column]) ? task[column].join(', ') : task[column]))
+            ));
+        }
+        if (result.next_cursor) lines.push('', `Next page: call again with cursor "${result.next_cursor}"`);
+        return lines.join('\n');
+    }
+
+    // Output schema of a task in the task list tools; fields can be narrowed with the fields argument
+    const taskListItemSchema = {
+        type: 'object',
+        properties: {
+            id: { type: ['number', 'string'] },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            project: { type: 'string' },
+            column: { type: 'string' },
+            category_id: { type: ['number', 'string'] },
+            category: { type: 'string' },
+            priority: { type: 'string' },
+            owner: { type: 'string' },
+            creator: { type: ['string', 'null'] },
+            created: { type: 'string' },
+            modified: { type: 'string' },
+            due_date: { type: 'string' },
+            completed: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            url: { type: 'string' }
+        }
+    };
+
+    const taskListPageProperties = {
+        returned: { type: 'number' },
+        total: { type: 'number', description: 'Matching tasks across all pages' },
+        next_cursor: { type: ['string', 'null'] }
+    };
+
+    const taskIdSchema = resultSchema({
+        task_id: { type: ['number', 'string'] }
+    });
+
+    const transferSchema = resultSchema({
+        task_id: { type: ['number', 'string'], description: 'ID of the new or moved task' },
+        project_id: { type: ['number', 'string'] },
+        url: { type: 'string' }
+    });
+
+    return [
+        {
+            name: 'get_all_tasks',
+            description: 'List the tasks of a project with filters, sorting and pagination (follow next_cursor for more)',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    status_id: {
+                        type: 'number',
+                        description: 'Task status (1=open, 0=closed)',
+                        default: 1
+                    },
+                    ...taskListProperties
+                },
+                required: ['project_id']
+            },
+            outputSchema: resultSchema({
+                project_id: { type: ['number', 'string'] },
+                status: { type: 'string', enum: ['Open', 'Closed'] },
+                tasks: { type: 'array', items: taskListItemSchema },
+                ...taskListPageProperties
+            }),
+            markdown: (result, args) => renderTaskList(`${result.status} tasks of project #${result.project_id}`, result.tasks, result, args),
+            async handler(args) {
+                const [tasks, categoryNames] = await Promise.all([
+                    callKanboard('getAllTasks', {
+                        project_id: args.project_id,
+                        status_id: args.status_id !== undefined ? args.status_id : 1
+                    }),
+                    getCategoryNames([args.project_id])
+                ]);
+
+                const page = await listTasks(tasks, args);
+                const tagsByTask = page.tagsByTask;
+                const descriptionLength = args.description_length !== undefined ? parseNumberInput(args.description_length, 'description_length', { integer: true }) : 150;
+
+                return {
+                    success: true,
+                    project_id: args.project_id,
+                    status: args.status_id === 0 ? 'Closed' : 'Open',
+                    tasks: page.items.map(task => selectFields({
+                        id: task.id,
+                        title: task.title,
+                        description: truncateDescription(task.description, descriptionLength),
+                        column: task.column_title,
+                        category_id: task.category_id,
+                        category: getCategoryName(categoryNames, task.category_id),
+                        priority: getPriorityColor(task.priority),
+                        owner: task.assignee_name || 'Unassigned',
+                        creator: task.creator_name,
+                        created: formatDate(task.date_creation),
+                        modified: formatDate(task.date_modification),
+                        due_date: formatDate(task.date_due),
+                        completed: formatDate(task.date_completed),
+                        tags: tagsByTask[task.id],
+                        url: taskUrl(task.id, args.project_id)
+                    }, args.fields)),
+                    returned: page.items.length,
+                    total: page.total,
+                    next_cursor: page.next_cursor
+                };
+            }
+        },
+        {
+            name: 'get_task',
+            description: 'Get detailed information about a specific task',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    include_subtasks: {
+                        type: 'boolean',
+                        description: 'Include subtasks and their progress',
+                        default: false
+                    },
+                    include_links: {
+                        type: 'boolean',
+                        description: 'Include task links and a dependency summary (e.g. "is blocked by #41 (open)")',
+                        default: false
+                    }
+                },
+                required: ['task_id']
+            },
+            outputSchema: resultSchema({
+                task: {
+                    type: 'object',
+                    properties: {
+                        id: { type: ['number', 'string'] },
+                        title: { type: 'string' },
+                        description: { type: 'string' },
+                        project_id: { type: ['number', 'string'] },
+                        project_name: { type: 'string' },
+                        column: { type: 'string' },
+                        column_id: { type: ['number', 'string'] },
+                        swimlane_id: { type: ['number', 'string'] },
+                        category_id: { type: ['number', 'string'] },
+                        category: { type: 'string' },
+                        color: { type: 'string' },
+                        reference: { type: 'string' },
+                        priority: { type: 'string' },
+                        owner: { type: 'string' },
+                        owner_id: { type: ['number', 'string'] },
+                        creator: { type: ['string', 'null'] },
+                        created: { type: 'string' },
+                        modified: { type: 'string' },
+                        started: { type: 'string' },
+                        due_date: { type: 'string' },
+                        completed: { type: 'string' },
+                        time_estimated: { type: 'string' },
+                        time_spent: { type: 'string' },
+                        is_active: { type: 'boolean' },
+                        position: { type: ['number', 'string'] },
+                        score: { type: ['number', 'string'] },
+                        recurrence: { type: ['object', 'string'], description: 'Recurrence settings, or "None"' },
+                        url: { type: 'string' },
+                        tags: { type: 'array', items: { type: 'string' } },
+                        subtask_progress: subtaskProgressSchema,
+                        subtasks: { type: 'array', items: subtaskSchema },
+                        subtasks_error: { type: 'string' },
+                        ...taskLinksProperties,
+                        links_error: { type: 'string' }
+                    }
+                }
+            }),
+            async handler(args) {
+                const task = await callKanboard('getTask', {
+                    task_id: args.task_id
+                }, 'Task not found');
+
+                // The remaining lookups are independent: tags and subtasks go in one batch, next to categories and links
+                const calls = [{ method: 'getTaskTags', params: { task_id: args.task_id } }];
+                if (args.include_subtasks) calls.push({ method: 'getAllSubtasks', params: { task_id: args.task_id } });
+                const [categoryNames, [tagsResponse, subtasksResponse], links] = await Promise.all([
+                    getCategoryNames([task.project_id]),
+                    kanboardBatch(calls),
+                    args.include_links ? getTaskLinks(args.task_id).catch(error => ({ links_error: error.message })) : null
+                ]);
+
+                const result = {
+                    success: true,
+                    task: {
+                        id: task.id,
+                        title: task.title,
+                        description: task.description || 'No description',
+                        project_id: task.project_id,
+                        project_name: task.project_name,
+                        column: task.column_title,
+                        column_id: task.column_id,
+                        swimlane_id: task.swimlane_id,
+                        category_id: task.category_id,
+                        category: getCategoryName(categoryNames, task.category_id),
+                        color: task.color_id,
+                        reference: task.reference || '',
+                        priority: getPriorityColor(task.priority),
+                        owner: task.assignee_name || 'Unassigned',
+                        owner_id: task.owner_id,
+                        creator: task.creator_name,
+                        created: formatDate(task.date_creation),
+                        modified: formatDate(task.date_modification),
+                        started: formatDate(task.date_started),
+                        due_date: formatDate(task.date_due),
+                        completed: formatDate(task.date_completed),
+                        time_estimated: task.time_estimated ? `${task.time_estimated}h` : 'Not set',
+                        time_spent: task.time_spent ? `${task.time_spent}h` : '0h',
+                        is_active: task.is_active === '1',
+                        position: task.position,
+                        score: task.score,
+                        recurrence: parseInt(task.recurrence_status) ? {
+                            trigger: task.recurrence_trigger,
+                            factor: task.recurrence_factor,
+                            timeframe: task.recurrence_timeframe,
+                            basedate: task.recurrence_basedate
+                        } : 'None',
+                        url: taskUrl(task.id, task.project_id)
+                    }
+                };
+
+                result.task.tags = tagsResponse.success && tagsResponse.data ? Object.values(tagsResponse.data) : [];
+
+                if (args.include_subtasks) {
+                    if (subtasksResponse.success) {
+                        result.task.subtask_progress = getSubtaskProgress(subtasksResponse.data);
+                        result.task.subtasks = subtasksResponse.data.map(formatSubtask);
+                    } else {
+                        result.task.subtasks_error = subtasksResponse.error;
+                    }
+                }
+
+                if (links) Object.assign(result.task, links);
+
+                return result;
+            }
+        },
+        {
+            name: 'create_task',
+            description: 'Create a new task',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    title: {
+                        type: 'string',
+                        description: 'Task title'
+                    },
+                    description: {
+                        type: 'string',
+                        description: 'Task description'
+                    },
+                    owner_id: {
+                        type: ['number', 'string'],
+                        description: 'Task owner: user ID, username or name'
+                    },
+                    column_id: {
+                        type: ['number', 'string'],
+                        description: 'Column ID or title where to place the task'
+                    },
+                    swimlane_id: {
+                        type: ['number', 'string'],
+                        description: 'Swimlane ID or name where to place the task'
+                    },
+                    priority: {
+                        type: 'number',
+                        description: 'Priority (0=none, 1=low, 2=medium, 3=high, 4=urgent)',
+                        default: 0
+                    },
+                    tags: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Tag names to set on the task'
+                    },
+                    ...taskFieldProperties
+                },
+                required: ['project_id', 'title']
+            },
+            outputSchema: resultSchema({
+                task_id: { type: ['number', 'string'] },
+                url: { type: 'string' }
+            }),
+            async handler(args) {
+                const taskData = {
+                    project_id: args.project_id,
+                    description: '',
+                    priority: 0,
+                    ...buildTaskFields(args)
+                };
+
+                if (!taskData.title) throw new Error('Invalid title: must be a non-empty string');
+                if (!taskData.owner_id) delete taskData.owner_id;
+                if (args.column_id) taskData.column_id = args.column_id;
+                if (args.swimlane_id) taskData.swimlane_id = args.swimlane_id;
+
+                const taskId = await callKanboard('createTask', taskData);
+
+                return {
+                    success: true,
+                    task_id: taskId,
+                    message: `Task "${args.title}" created successfully`,
+                    url: taskUrl(taskId, args.project_id)
+                };
+            }
+        },
+        {
+            name: 'update_task',
+            description: 'Update an existing task',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    title: {
+                        type: 'string',
+                        description: 'New task title'
+                    },
+                    description: {
+                        type: 'string',
+                        description: 'New task description'
+                    },
+                    owner_id: {
+                        type: ['number', 'string'],
+                        description: 'New owner: user ID, username or name'
+                    },
+                    priority: {
+                        type: 'number',
+                        description: 'New priority (0-4)'
+                    },
+                    column_id: {
+                        type: ['number', 'string'],
+                        description: 'Move the task to this column (ID or title)'
+                    },
+                    swimlane_id: {
+                        type: ['number', 'string'],
+                        description: 'Move the task to this swimlane (ID or name)'
+                    },
+                    tags: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Replace the task tags with these tag names'
+                    },
+                    ...taskFieldProperties
+                },
+                required: ['task_id']
+            },
+            outputSchema: resultSchema({
+                task_id: { type: ['number', 'string'] },
+                updated_fields: { type: 'array', items: { type: 'string' } }
+            }),
+            async handler(args) {
+                const updateData = { id: args.task_id, ...buildTaskFields(args) };
+                const changesPlacement = args.column_id !== undefined || args.swimlane_id !== undefined;
+
+                if (Object.keys(updateData).length === 1 && !changesPlacement) {
+                    throw new Error('Nothing to update: provide at least one field to change');
+                }
+
+                if (Object.keys(updateData).length > 1) {
+                    await callKanboard('updateTask', updateData, 'Task could not be updated');
+                }
+
+                // updateTask cannot change the column or swimlane, so those go through moveTaskPosition
+                if (changesPlacement) {
+                    const task = await callKanboard('getTask', { task_id: args.task_id }, 'Task not found');
+                    const columnId = args.column_id !== undefined ? args.column_id : task.column_id;
+                    const swimlaneId = args.swimlane_id !== undefined ? args.swimlane_id : task.swimlane_id;
+                    const openTasks = await callKanboard('getAllTasks', { project_id: task.project_id, status_id: 1 });
+                    await callKanboard('moveTaskPosition', {
+                        project_id: task.project_id,
+                        task_id: args.task_id,
+                        column_id: columnId,
+                        swimlane_id: swimlaneId,
+                        position: getAppendPosition(openTasks, args.task_id, columnId, swimlaneId)
+                    }, 'Task could not be moved');
+                }
+
+                return {
+                    success: true,
+                    task_id: args.task_id,
+                    updated_fields: Object.keys(updateData).filter(field => field !== 'id')
+                        .concat(args.column_id !== undefined ? ['column_id'] : [])
+                        .concat(args.swimlane_id !== undefined ? ['swimlane_id'] : []),
+                    message: 'Task updated successfully'
+                };
+            }
+        },
+        {
+            name: 'move_task',
+            description: 'Move a task to a different column',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name (optional, defaults to the task\'s project)'
+                    },
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    column_id: {
+                        type: ['number', 'string'],
+                        description: 'Target column ID or title'
+                    },
+                    swimlane_id: {
+                        type: ['number', 'string'],
+                        description: 'Target swimlane ID or name (optional, defaults to the current swimlane)'
+                    },
+                    position: {
+                        type: 'number',
+                        description: 'Position in the column (optional, defaults to the end of the column)'
+                    },
+                    force: {
+                        type: 'boolean',
+                        description: 'Move the task even if the target column is at its WIP limit',
+                        default: false
+                    }
+                },
+                required: ['task_id', 'column_id']
+            },
+            outputSchema: resultSchema({
+                task_id: { type: ['number', 'string'] },
+                new_column_id: { type: ['number', 'string'] },
+                new_swimlane_id: { type: ['number', 'string'] },
+                position: { type: ['number', 'string'] },
+                column: {
+                    type: 'object',
+                    description: 'The full target column, when the move is refused because of its WIP limit',
+                    properties: {
+                        id: { type: ['number', 'string'] },
+                        title: { type: 'string' },
+                        task_count: { type: 'number' },
+                        task_limit: { type: 'number' }
+                    }
+                }
+            }),
+            async handler(args) {
+                const moveData = {
+                    project_id: args.project_id || null,
+                    task_id: args.task_id,
+                    column_id: args.column_id,
+                    position: args.position || null
+                };
+
+                if (!moveData.project_id || !args.swimlane_id) {
+                    // moveTaskPosition needs the project and a swimlane, default to the task's current ones
+                    const task = await callKanboard('getTask', { task_id: args.task_id }, 'Task not found');
+                    if (!moveData.project_id) moveData.project_id = parseInt(task.project_id);
+                    moveData.swimlane_id = args.swimlane_id || parseInt(task.swimlane_id);
+                } else {
+                    moveData.swimlane_id = args.swimlane_id;
+                }
+
+                const [tasks, columns] = await Promise.all([
+                    callKanboard('getAllTasks', { project_id: moveData.project_id, status_id: 1 }),
+                    callKanboard('getColumns', { project_id: moveData.project_id })
+                ]);
+
+                const otherTasks = tasks.filter(task => parseInt(task.id) !== parseInt(args.task_id));
+                const movingTask = tasks.find(task => parseInt(task.id) === parseInt(args.task_id));
+                const column = columns.find(candidate => parseInt(candidate.id) === parseInt(moveData.column_id));
+                const taskLimit = column ? parseInt(column.task_limit) || 0 : 0;
+
+                // WIP limits count open tasks of the column across all swimlanes, like get_board
+                let wipWarning = null;
+                if (taskLimit > 0 && movingTask && parseInt(movingTask.column_id) !== parseInt(moveData.column_id)) {
+                    const taskCount = otherTasks.filter(task => parseInt(task.column_id) === parseInt(moveData.column_id)).length;
+                    if (taskCount >= taskLimit) {
+                        wipWarning = `Column "${column.title}" is at its WIP limit (${taskCount}/${taskLimit})`;
+                        if (!args.force) {
+                            return {
+                                success: false,
+                                error: `${wipWarning}, call move_task again with force: true to move the task anyway`,
+                                column: { id: column.id, title: column.title, task_count: taskCount, task_limit: taskLimit }
+                            };
+                        }
+                    }
+                }
+
+                if (!moveData.position) {
+                    // Append to the end of the target column and swimlane
+                    moveData.position = getAppendPosition(tasks, args.task_id, moveData.column_id, moveData.swimlane_id);
+                }
+
+                await callKanboard('moveTaskPosition', moveData);
+
+                const result = {
+                    success: true,
+                    task_id: args.task_id,
+                    new_column_id: args.column_id,
+                    new_swimlane_id: moveData.swimlane_id,
+                    position: moveData.position,
+                    message: 'Task moved successfully'
+                };
+                if (wipWarning) result.warning = `${wipWarning}, moved anyway because force was set`;
+                return result;
+            }
+        },
+        {
+            name: 'close_task',
+            description: 'Close/complete a task',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    }
+                },
+                required: ['task_id']
+            },
+            outputSchema: taskIdSchema,
+            async handler(args) {
+                await callKanboard('closeTask', {
+                    task_id: args.task_id
+                });
+
+                return {
+                    success: true,
+                    task_id: args.task_id,
+                    message: 'Task closed successfully'
+                };
+            }
+        },
+        {
+            name: 'reopen_task',
+            description: 'Reopen a closed task',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    }
+                },
+                required: ['task_id']
+            },
+            outputSchema: taskIdSchema,
+            async handler(args) {
+                await callKanboard('openTask', {
+                    task_id: args.task_id
+                }, 'Task could not be reopened');
+
+                return {
+                    success: true,
+                    task_id: args.task_id,
+                    message: 'Task reopened successfully'
+                };
+            }
+        },
+        {
+            name: 'delete_task',
+            description: 'Permanently delete a task with its subtasks, comments and files. Requires confirm: true',
+            annotations: { readOnlyHint: false, destructiveHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    confirm: {
+                        type: 'boolean',
+                        description: 'Must be true to delete the task, this cannot be undone'
+                    }
+                },
+                required: ['task_id']
+            },
+            outputSchema: resultSchema({
+                task_id: { type: ['number', 'string'] },
+                task: {
+                    type: ['object', 'null'],
+                    description: 'The task that would be deleted, when confirm is missing',
+                    properties: {
+                        id: { type: ['number', 'string'] },
+                        title: { type: 'string' },
+                        project_id: { type: ['number', 'string'] },
+                        is_active: { type: 'boolean' }
+                    }
+                }
+            }),
+            async handler(args) {
+                if (args.confirm !== true) {
+                    const taskResponse = await kanboardRequest('getTask', { task_id: args.task_id });
+                    const task = taskResponse.success ? taskResponse.data : null;
+                    return {
+                        success: false,
+                        error: 'Deleting a task cannot be undone, call delete_task again with confirm: true to proceed',
+                        task: task ? { id: task.id, title: task.title, project_id: task.project_id, is_active: task.is_active === '1' } : null
+                    };
+                }
+
+                await callKanboard('removeTask', {
+                    task_id: args.task_id
+                }, 'Task could not be deleted');
+
+                return {
+                    success: true,
+                    task_id: args.task_id,
+                    message: 'Task deleted successfully'
+                };
+            }
+        },
+        {
+            name: 'duplicate_task',
+            description: 'Copy a task (e.g. a template card) into a project',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'ID of the task to copy'
+                    },
+                    ...transferProperties
+                },
+                required: ['task_id', 'project_id']
+            },
+            outputSchema: transferSchema,
+            handler: transferTask(true)
+        },
+        {
+            name: 'move_task_to_project',
+            description: 'Move a task to another project',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    ...transferProperties
+                },
+                required: ['task_id', 'project_id']
+            },
+            outputSchema: transferSchema,
+            handler: transferTask(false)
+        },
+        {
+            name: 'search_tasks',
+            description: 'Search the tasks of a project with Kanboard\'s search syntax, e.g. assignee:me due:tomorrow, status:open tag:bug or column:"In progress" priority:>=2. Results are paginated like get_all_tasks',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name'
+                    },
+                    query: {
+                        type: 'string',
+                        description: 'Free text and/or attribute:value filters: assignee (name or "me"/"nobody"), status (open/closed), ' +
+                            'due, created, modified, started, completed, moved (YYYY-MM-DD, today, tomorrow, yesterday, "-2 days", with <, <=, >, >=), ' +
+                            'title, description, category, column, swimlane, project, tag, color, priority, score, reference, creator, comment, link, subtask:assignee. ' +
+                            'Quote values with spaces, e.g. column:"Work in progress"'
+                    },
+                    ...taskListProperties
+                },
+                required: ['project_id', 'query']
+            },
+            outputSchema: resultSchema({
+                query: { type: 'string' },
+                project_id: { type: ['number', 'string'] },
+                results: { type: 'array', items: taskListItemSchema },
+                ...taskListPageProperties
+            }),
+            markdown: (result, args) => renderTaskList(`Tasks matching "${result.query}"`, result.results, result, args),
+            async handler(args) {
+                const tasks = await callKanboard('searchTasks', {
+                    project_id: args.project_id,
+                    query: validateSearchQuery(args.query)
+                });
+
+                const page = await listTasks(tasks, args);
+                const tagsByTask = page.tagsByTask;
+                const categoryNames = await getCategoryNames(page.items.map(task => task.project_id));
+                const descriptionLength = args.description_length !== undefined ? parseNumberInput(args.description_length, 'description_length', { integer: true }) : 100;
+
+                return {
+                    success: true,
+                    query: args.query,
+                    project_id: args.project_id,
+                    results: page.items.map(task => selectFields({
+                        id: task.id,
+                        title: task.title,
+                        description: truncateDescription(task.description, descriptionLength),
+                        project: task.project_name,
+                        column: task.column_title,
+                        category: getCategoryName(categoryNames, task.category_id),
+                        owner: task.assignee_name || 'Unassigned',
+                        created: formatDate(task.date_creation),
+                        priority: getPriorityColor(task.priority),
+                        tags: tagsByTask[task.id],
+                        url: taskUrl(task.id, task.project_id)
+                    }, args.fields)),
+                    returned: page.items.length,
+                    total: page.total,
+                    next_cursor: page.next_cursor
+                };
+            }
+        },
+        {
+            name: 'get_overdue_tasks',
+            description: 'Get all overdue tasks across projects',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {},
+                required: []
+            },
+            outputSchema: resultSchema({
+                overdue_tasks: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            ...taskListItemSchema.properties,
+                            days_overdue: { type: 'number' }
+                        }
+                    }
+                },
+                total: { type: 'number' }
+            }),
+            markdown: (result, args) => renderTaskList('Overdue tasks', result.overdue_tasks, result, args),
+            async handler() {
+                const tasks = (await callKanboard('getOverdueTasks')).filter(task => isProjectVisible(parseInt(task.project_id)));
+
+                const categoryNames = await getCategoryNames(tasks.map(task => task.project_id));
+                return {
+                    success: true,
+                    overdue_tasks: tasks.map(task => ({
+                        id: task.id,
+                        title: task.title,
+                        project: task.project_name,
+                        column: task.column_title,
+                        category: getCategoryName(categoryNames, task.category_id),
+                        owner: task.assignee_name || 'Unassigned',
+                        due_date: formatDate(task.date_due),
+                        days_overdue: Math.floor((Date.now() / 1000 - task.date_due) / (24 * 3600)),
+                        priority: getPriorityColor(task.priority),
+                        url: taskUrl(task.id, task.project_id)
+                    })),
+                    total: tasks.length
+                };
+            }
+        }
+    ];
+};
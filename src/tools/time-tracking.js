@@ -0,0 +1,349 @@
+// Time tracking tools: logging hours, subtask timers and timesheets
+
+// Helper function to round hours for timesheet output
+function roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+// Split a task's spent and estimated hours between the people who did the work: subtask
+// hours go to the subtask assignee, the rest of the task total goes to the task owner.
+function getTimesheetEntries(task, subtasks) {
+    const entries = subtasks
+        .filter(subtask => parseFloat(subtask.time_spent) || parseFloat(subtask.time_estimated))
+        .map(subtask => ({
+            user_id: parseInt(subtask.user_id) || parseInt(task.owner_id) || 0,
+            spent: parseFloat(subtask.time_spent) || 0,
+            estimated: parseFloat(subtask.time_estimated) || 0
+        }));
+
+    const subtaskSpent = entries.reduce((total, entry) => total + entry.spent, 0);
+    const subtaskEstimated = entries.reduce((total, entry) => total + entry.estimated, 0);
+    const remainingSpent = Math.max((parseFloat(task.time_spent) || 0) - subtaskSpent, 0);
+    const remainingEstimated = Math.max((parseFloat(task.time_estimated) || 0) - subtaskEstimated, 0);
+
+    if (remainingSpent || remainingEstimated) {
+        entries.push({ user_id: parseInt(task.owner_id) || 0, spent: remainingSpent, estimated: remainingEstimated });
+    }
+    return entries;
+}
+
+// Helper function to add hours to a timesheet group
+function addToTimesheetGroup(groups, key, fields, entry) {
+    if (!groups.has(key)) groups.set(key, { ...fields, hours_spent: 0, hours_estimated: 0 });
+    const group = groups.get(key);
+    group.hours_spent += entry.spent;
+    group.hours_estimated += entry.estimated;
+}
+
+// Helper function to finish a timesheet group with rounded totals and the remaining estimate
+function formatTimesheetGroup(group) {
+    return {
+        ...group,
+        hours_spent: roundHours(group.hours_spent),
+        hours_estimated: roundHours(group.hours_estimated),
+        hours_remaining: roundHours(Math.max(group.hours_estimated - group.hours_spent, 0))
+    };
+}
+
+module.exports = function timeTrackingTools({ kanboardRequest, kanboardBatch, callKanboard, getCurrentUser, formatDate, parseDateInput, parseNumberInput, toEndOfDay, isProjectVisible, resultSchema }) {
+    // Output schema of a timesheet group, with the fields identifying the task, user or project
+    function timesheetGroupSchema(properties) {
+        return {
+            type: 'object',
+            properties: {
+                ...properties,
+                hours_spent: { type: 'number' },
+                hours_estimated: { type: 'number' },
+                hours_remaining: { type: 'number' }
+            }
+        };
+    }
+
+    return [
+        {
+            name: 'log_time',
+            description: 'Log hours spent on a task, or on one of its subtasks (subtask time rolls up into the task total)',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    task_id: {
+                        type: 'number',
+                        description: 'Task ID'
+                    },
+                    hours: {
+                        type: 'number',
+                        description: 'Hours to add, e.g. 1.5 (use a negative value to correct a previous entry)'
+                    },
+                    subtask_id: {
+                        type: 'number',
+                        description: 'Subtask to log the time on (optional, recommended for tasks with subtasks)'
+                    },
+                    user_id: {
+                        type: ['number', 'string'],
+                        description: 'User ID, username or name who did the work; assigns an unassigned subtask (optional)'
+                    }
+                },
+                required: ['task_id', 'hours']
+            },
+            outputSchema: resultSchema({
+                task_id: { type: ['number', 'string'] },
+                subtask_id: { type: ['number', 'string'] },
+                hours_logged: { type: 'number' },
+                time_spent: { type: 'string', description: 'New total, e.g. "3.5h"' },
+                time_estimated: { type: 'string' }
+            }),
+            async handler(args) {
+                const hours = parseNumberInput(args.hours, 'hours', { min: -1000, max: 1000 });
+
+                if (args.subtask_id) {
+                    const subtask = await callKanboard('getSubtask', { subtask_id: args.subtask_id }, 'Subtask not found');
+                    if (parseInt(subtask.task_id) !== parseInt(args.task_id)) {
+                        throw new Error(`Subtask #${args.subtask_id} does not belong to task #${args.task_id}`);
+                    }
+
+                    const timeSpent = roundHours(Math.max((parseFloat(subtask.time_spent) || 0) + hours, 0));
+                    const updateData = { id: args.subtask_id, task_id: args.task_id, time_spent: timeSpent };
+                    if (args.user_id && !parseInt(subtask.user_id)) updateData.user_id = args.user_id;
+
+                    await callKanboard('updateSubtask', updateData, 'Time could not be logged');
+
+                    return {
+                        success: true,
+                        task_id: args.task_id,
+                        subtask_id: args.subtask_id,
+                        hours_logged: hours,
+                        time_spent: `${timeSpent}h`,
+                        time_estimated: subtask.time_estimated ? `${subtask.time_estimated}h` : 'Not set',
+                        message: `Logged ${hours}h on subtask "${subtask.title}"`
+                    };
+                }
+
+                const task = await callKanboard('getTask', { task_id: args.task_id }, 'Task not found');
+                const timeSpent = roundHours(Math.max((parseFloat(task.time_spent) || 0) + hours, 0));
+                await callKanboard('updateTask', { id: args.task_id, time_spent: timeSpent }, 'Time could not be logged');
+
+                return {
+                    success: true,
+                    task_id: args.task_id,
+                    hours_logged: hours,
+                    time_spent: `${timeSpent}h`,
+                    time_estimated: task.time_estimated ? `${task.time_estimated}h` : 'Not set',
+                    message: `Logged ${hours}h on task "${task.title}"`
+                };
+            }
+        },
+        {
+            name: 'subtask_timer',
+            description: 'Start or stop the Kanboard timer on a subtask, or check whether it is running',
+            annotations: { readOnlyHint: false, destructiveHint: false },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    subtask_id: {
+                        type: 'number',
+                        description: 'Subtask ID'
+                    },
+                    action: {
+                        type: 'string',
+                        enum: ['start', 'stop', 'status'],
+                        description: 'Timer action'
+                    },
+                    user_id: {
+                        type: ['number', 'string'],
+                        description: 'User ID, username or name (optional, defaults to the current user)'
+                    }
+                },
+                required: ['subtask_id', 'action']
+            },
+            outputSchema: resultSchema({
+                subtask_id: { type: ['number', 'string'] },
+                user_id: { type: ['number', 'string'] },
+                timer: { type: 'string', enum: ['running', 'stopped'] },
+                time_spent: { type: 'string' }
+            }),
+            async handler(args) {
+                const userId = args.user_id || parseInt((await getCurrentUser()).id);
+                const timerData = { subtask_id: args.subtask_id, user_id: userId };
+
+                if (args.action === 'start' || args.action === 'stop') {
+                    await callKanboard(args.action === 'start' ? 'setSubtaskStartTime' : 'setSubtaskEndTime', timerData,
+                        `Timer could not be ${args.action === 'start' ? 'started' : 'stopped'}`);
+
+                    const result = {
+                        success: true,
+                        subtask_id: args.subtask_id,
+                        user_id: userId,
+                        timer: args.action === 'start' ? 'running' : 'stopped',
+                        message: args.action === 'start' ? 'Timer started' : 'Timer stopped, time added to the subtask'
+                    };
+                    if (args.action === 'stop') {
+                        const spentResponse = await kanboardRequest('getSubtaskTimeSpent', timerData);
+                        if (spentResponse.success) result.time_spent = `${roundHours(parseFloat(spentResponse.data) || 0)}h`;
+                    }
+                    return result;
+                }
+
+                if (args.action === 'status') {
+                    const [running, spentResponse] = await Promise.all([
+                        callKanboard('hasSubtaskTimer', timerData),
+                        kanboardRequest('getSubtaskTimeSpent', timerData)
+                    ]);
+
+                    return {
+                        success: true,
+                        subtask_id: args.subtask_id,
+                        user_id: userId,
+                        timer: running ? 'running' : 'stopped',
+                        time_spent: spentResponse.success ? `${roundHours(parseFloat(spentResponse.data) || 0)}h` : 'Unknown'
+                    };
+                }
+
+                throw new Error(`Invalid action "${args.action}": expected start, stop or status`);
+            }
+        },
+        {
+            name: 'get_timesheet',
+            description: 'Report approximate spent vs. estimated hours per task, per user and per project over a date range. ' +
+                'Kanboard keeps no dated time entries, so a task modified or completed in the range counts with all its hours, including hours logged before the range',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    project_id: {
+                        type: ['number', 'string'],
+                        description: 'Project ID or name (optional, defaults to all projects)'
+                    },
+                    user_id: {
+                        type: ['number', 'string'],
+                        description: 'Only count hours of this user ID, username or name (optional)'
+                    },
+                    start_date: {
+                        type: 'string',
+                        description: 'Start of the range, e.g. "2024-05-01" (optional). Tasks count, with all their hours, when modified or completed in the range'
+                    },
+                    end_date: {
+                        type: 'string',
+                        description: 'End of the range, inclusive (optional, defaults to now)'
+                    },
+                    include_closed: {
+                        type: 'boolean',
+                        description: 'Include closed tasks',
+                        default: true
+                    }
+                }
+            },
+            outputSchema: resultSchema({
+                range: {
+                    type: 'object',
+                    properties: {
+                        start: { type: 'string' },
+                        end: { type: 'string' }
+                    }
+                },
+                user_id: { type: ['number', 'string', 'null'] },
+                totals: timesheetGroupSchema({}),
+                projects: {
+                    type: 'array',
+                    items: timesheetGroupSchema({ project_id: { type: ['number', 'string'] }, project: { type: 'string' } })
+                },
+                users: {
+                    type: 'array',
+                    items: timesheetGroupSchema({ user_id: { type: 'number' }, user: { type: 'string' } })
+                },
+                tasks: {
+                    type: 'array',
+                    items: timesheetGroupSchema({
+                        task_id: { type: ['number', 'string'] },
+                        title: { type: 'string' },
+                        project: { type: 'string' },
+                        status: { type: 'string', enum: ['open', 'closed'] }
+                    })
+                },
+                approximate: { type: 'boolean', description: 'Always true: hours are task totals, not hours logged within the range' },
+                note: { type: 'string' }
+            }),
+            async handler(args) {
+                const startDate = args.start_date ? parseDateInput(args.start_date, 'start_date') : 0;
+                // A bare date as end of range includes the whole day
+                const endDate = args.end_date ? toEndOfDay(parseDateInput(args.end_date, 'end_date')) : Math.floor(Date.now() / 1000);
+
+                const [projects, usersResponse] = await Promise.all([
+                    args.project_id
+                        ? callKanboard('getProjectById', { project_id: args.project_id }, 'Project not found').then(project => [project])
+                        : callKanboard('getAllProjects').then(all => all.filter(project => isProjectVisible(parseInt(project.id)))),
+                    kanboardRequest('getAllUsers')
+                ]);
+                const userNames = {};
+                (usersResponse.success ? usersResponse.data : []).forEach(user => {
+                    userNames[parseInt(user.id)] = user.name || user.username;
+                });
+
+                const byTask = new Map();
+                const byUser = new Map();
+                const byProject = new Map();
+                const statuses = args.include_closed === false ? [1] : [1, 0];
+
+                // One batch for the task lists of every project and status, one for the subtasks of the tasks in range
+                const lists = projects.flatMap(project => statuses.map(statusId => ({ project, statusId })));
+                const listResponses = await kanboardBatch(lists.map(list => ({
+                    method: 'getAllTasks',
+                    params: { project_id: parseInt(list.project.id), status_id: list.statusId }
+                })));
+                const selected = [];
+                listResponses.forEach((response, index) => {
+                    if (!response.success) throw response.cause;
+                    response.data.filter(task => {
+                        if (!(parseFloat(task.time_spent) || parseFloat(task.time_estimated))) return false;
+                        const activity = [task.date_modification, task.date_completed].map(date => parseInt(date) || 0);
+                        return activity.some(date => date >= startDate && date <= endDate);
+                    }).forEach(task => selected.push({ project: lists[index].project, task }));
+                });
+                const subtasksResponses = await kanboardBatch(selected.map(({ task }) => ({ method: 'getAllSubtasks', params: { task_id: task.id } })));
+
+                selected.forEach(({ project, task }, index) => {
+                    const subtasksResponse = subtasksResponses[index];
+                    const entries = getTimesheetEntries(task, subtasksResponse.success ? subtasksResponse.data : [])
+                        .filter(entry => !args.user_id || entry.user_id === parseInt(args.user_id));
+
+                    for (const entry of entries) {
+                        addToTimesheetGroup(byTask, task.id, {
+                            task_id: task.id,
+                            title: task.title,
+                            project: project.name,
+                            status: task.is_active === '1' ? 'open' : 'closed'
+                        }, entry);
+                        addToTimesheetGroup(byUser, entry.user_id, {
+                            user_id: entry.user_id,
+                            user: userNames[entry.user_id] || 'Unassigned'
+                        }, entry);
+                        addToTimesheetGroup(byProject, project.id, {
+                            project_id: project.id,
+                            project: project.name
+                        }, entry);
+                    }
+                });
+
+                const projectTotals = Array.from(byProject.values()).map(formatTimesheetGroup);
+                return {
+                    success: true,
+                    range: {
+                        start: startDate ? formatDate(startDate) : 'Not set',
+                        end: formatDate(endDate)
+                    },
+                    user_id: args.user_id || null,
+                    totals: formatTimesheetGroup(projectTotals.reduce((total, project) => ({
+                        hours_spent: total.hours_spent + project.hours_spent,
+                        hours_estimated: total.hours_estimated + project.hours_estimated
+                    }), { hours_spent: 0, hours_estimated: 0 })),
+                    projects: projectTotals,
+                    users: Array.from(byUser.values()).map(formatTimesheetGroup).sort((a, b) => b.hours_spent - a.hours_spent),
+                    tasks: Array.from(byTask.values()).map(formatTimesheetGroup),
+                    approximate: true,
+                    note: 'Approximation: Kanboard does not expose dated time entries, so each task modified or completed within the range counts with its whole time spent, ' +
+                        'including hours logged before the range'
+                };
+            }
+        }
+    ];
+};
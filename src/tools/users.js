@@ -0,0 +1,130 @@
+// User tools: the Kanboard users and the personal dashboard of the current user
+module.exports = function userTools({ callKanboard, isProjectVisible, formatDate, getPriorityColor, getCategoryNames, getCategoryName, taskUrl, resultSchema }) {
+    return [
+        {
+            name: 'get_users',
+            description: 'Get all users in the system',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {},
+                required: []
+            },
+            outputSchema: resultSchema({
+                users: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: ['number', 'string'] },
+                            username: { type: 'string' },
+                            name: { type: 'string' },
+                            email: { type: ['string', 'null'] },
+                            role: { type: 'string' },
+                            is_active: { type: 'boolean' },
+                            created: { type: 'string' }
+                        }
+                    }
+                },
+                total: { type: 'number' }
+            }),
+            async handler() {
+                const users = await callKanboard('getAllUsers');
+
+                return {
+                    success: true,
+                    users: users.map(user => ({
+                        id: user.id,
+                        username: user.username,
+                        name: user.name || user.username,
+                        email: user.email,
+                        role: user.role,
+                        is_active: user.is_active === '1',
+                        created: formatDate(user.created)
+                    })),
+                    total: users.length
+                };
+            }
+        },
+        {
+            name: 'get_my_dashboard',
+            description: 'Get dashboard view with user\'s tasks and projects',
+            annotations: { readOnlyHint: true },
+            inputSchema: {
+                type: 'object',
+                properties: {},
+                required: []
+            },
+            outputSchema: resultSchema({
+                dashboard: {
+                    type: 'object',
+                    properties: {
+                        projects: {
+                            type: 'object',
+                            properties: {
+                                total: { type: 'number' },
+                                active: { type: 'number' }
+                            }
+                        },
+                        my_tasks: {
+                            type: 'object',
+                            properties: {
+                                total: { type: 'number' },
+                                tasks: {
+                                    type: 'array',
+                                    description: 'The first 10 tasks assigned to the current user',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            id: { type: ['number', 'string'] },
+                                            title: { type: 'string' },
+                                            project: { type: 'string' },
+                                            column: { type: 'string' },
+                                            category: { type: 'string' },
+                                            priority: { type: 'string' },
+                                            due_date: { type: 'string' },
+                                            url: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }),
+            async handler() {
+                const [allProjects, allTasks] = await Promise.all([
+                    callKanboard('getAllProjects'),
+                    callKanboard('getMyTasks')
+                ]);
+                const projects = allProjects.filter(project => isProjectVisible(parseInt(project.id)));
+                const tasks = allTasks.filter(task => isProjectVisible(parseInt(task.project_id)));
+
+                const myTasks = tasks.slice(0, 10);
+                const categoryNames = await getCategoryNames(myTasks.map(task => task.project_id));
+                return {
+                    success: true,
+                    dashboard: {
+                        projects: {
+                            total: projects.length,
+                            active: projects.filter(p => p.is_active === '1').length
+                        },
+                        my_tasks: {
+                            total: tasks.length,
+                            tasks: myTasks.map(task => ({
+                                id: task.id,
+                                title: task.title,
+                                project: task.project_name,
+                                column: task.column_title,
+                                category: getCategoryName(categoryNames, task.category_id),
+                                priority: getPriorityColor(task.priority),
+                                due_date: formatDate(task.date_due),
+                                url: taskUrl(task.id, task.project_id)
+                            }))
+                        }
+                    }
+                };
+            }
+        }
+    ];
+};